@@ -51,5 +51,11 @@ module.exports = defineConfig([
             eslintJs
         },
         extends: ['eslintJs/recommended']
+    },
+
+    // Jest mocks of base components are LWC components
+    {
+        files: ['**/jest-mocks/lightning/**/*.js'],
+        extends: [lwcConfig]
     }
 ]);
\ No newline at end of file
@@ -0,0 +1,227 @@
+// @ts-check
+/**
+ * @fileoverview Assigns the Agent Assist permission set and queue to agent teams. Admins search for users, profiles
+ * or public groups, select any number of them, then assign or remove in bulk. Results are reported per user (from
+ * `AgentAssignmentController`), so partial failures show which agents still need attention.
+ */
+import { LightningElement } from 'lwc';
+import LightningConfirm from 'lightning/confirm';
+import searchAssignees from '@salesforce/apex/AgentAssignmentController.searchAssignees';
+import getAgents from '@salesforce/apex/AgentAssignmentController.getAgents';
+import assign from '@salesforce/apex/AgentAssignmentController.assign';
+import remove from '@salesforce/apex/AgentAssignmentController.remove';
+
+/**
+ * @typedef {{
+ *  id: string;
+ *  name: string;
+ *  type: 'User' | 'Profile' | 'Group';
+ *  detail: string;
+ * }} Assignee
+ *
+ * @typedef {{
+ *  userId: string;
+ *  name: string;
+ *  username: string;
+ *  permissionSetStatus: string;
+ *  queueStatus: string;
+ *  message?: string;
+ * }} AssignmentResult
+ */
+
+const SEARCH_DELAY_MS = 300;
+
+const ICONS_BY_TYPE = {
+    User: 'standard:user',
+    Profile: 'standard:avatar',
+    Group: 'standard:groups'
+};
+
+const SEARCH_COLS = [
+    { label: 'Name', fieldName: 'name' },
+    { label: 'Type', fieldName: 'type', initialWidth: 100 },
+    { label: 'Details', fieldName: 'detail' }
+];
+
+const RESULT_COLS = [
+    { label: 'User', fieldName: 'name' },
+    { label: 'Username', fieldName: 'username' },
+    { label: 'Permission Set', fieldName: 'permissionSetStatus', initialWidth: 150 },
+    { label: 'Queue', fieldName: 'queueStatus', initialWidth: 150 },
+    { label: 'Message', fieldName: 'message', wrapText: true }
+];
+
+export default class AgentAssignment extends LightningElement {
+    isLoading = false;
+    isSearching = false;
+    error;
+    searchTerm = '';
+
+    /**
+     * @type {Assignee[]}
+     */
+    searchResults = [];
+
+    /**
+     * @type {Assignee[]}
+     */
+    selected = [];
+
+    /**
+     * The outcome of the last assign or remove, or the current agents before either runs.
+     * @type {AssignmentResult[]}
+     */
+    results = [];
+
+    /**
+     * Whether `results` holds the outcome of an assign or remove, rather than the current agents.
+     */
+    isActionResult = false;
+
+    searchCols = SEARCH_COLS;
+    resultCols = RESULT_COLS;
+
+    searchTimer;
+
+    connectedCallback() {
+        this.loadAgents();
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimer);
+    }
+
+    get hasSearchResults() {
+        return this.searchResults.length > 0;
+    }
+
+    get selectedRowIds() {
+        return this.selected.map((assignee) => assignee.id);
+    }
+
+    get hasSelection() {
+        return this.selected.length > 0;
+    }
+
+    get selectionPills() {
+        return this.selected.map((assignee) => ({
+            name: assignee.id,
+            label: `${assignee.name} (${assignee.type})`,
+            iconName: ICONS_BY_TYPE[assignee.type]
+        }));
+    }
+
+    get isActionDisabled() {
+        return this.isLoading || !this.hasSelection;
+    }
+
+    get hasResults() {
+        return this.results.length > 0;
+    }
+
+    get resultsTitle() {
+        return this.isActionResult ? 'Results' : 'Current agents';
+    }
+
+    get failureCount() {
+        return this.results.filter(
+            (result) => result.permissionSetStatus === 'Failed' || result.queueStatus === 'Failed'
+        ).length;
+    }
+
+    get hasFailures() {
+        return this.isActionResult && this.failureCount > 0;
+    }
+
+    async loadAgents() {
+        this.isLoading = true;
+
+        try {
+            this.results = await getAgents();
+            this.isActionResult = false;
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+        clearTimeout(this.searchTimer);
+
+        // Wait for a pause in typing, so every keystroke isn't a server call.
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY_MS);
+    }
+
+    async search() {
+        this.isSearching = true;
+
+        try {
+            this.searchResults = await searchAssignees({ searchTerm: this.searchTerm });
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isSearching = false;
+        }
+    }
+
+    handleRowSelection(event) {
+        const visibleIds = new Set(this.searchResults.map((assignee) => assignee.id));
+
+        // The table only reports its own rows, so keep selections made from earlier searches.
+        this.selected = [
+            ...this.selected.filter((assignee) => !visibleIds.has(assignee.id)),
+            ...event.detail.selectedRows
+        ];
+    }
+
+    handleRemoveSelection(event) {
+        const id = event.detail.item.name;
+        this.selected = this.selected.filter((assignee) => assignee.id !== id);
+    }
+
+    handleClearSelection() {
+        this.selected = [];
+    }
+
+    async handleAssign() {
+        await this.run(assign);
+    }
+
+    async handleRemove() {
+        const isConfirmed = await LightningConfirm.open({
+            label: 'Remove agents?',
+            message: `This removes the permission set and queue membership from every active user in the ${this.selected.length} selected items.`,
+            theme: 'warning'
+        });
+
+        if (isConfirmed) {
+            await this.run(remove);
+        }
+    }
+
+    /**
+     * Runs `action` on the selection and shows its per-user results.
+     * @param {typeof assign} action
+     */
+    async run(action) {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            this.results = await action({ assigneeIds: this.selectedRowIds });
+            this.isActionResult = true;
+            this.selected = [];
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleShowAgents() {
+        this.loadAgents();
+    }
+}
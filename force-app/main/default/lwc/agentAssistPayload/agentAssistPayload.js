@@ -0,0 +1,261 @@
+// @ts-check
+/**
+ * @fileoverview The payload contract for the `Agent_Assist__c` message channel. Every publisher builds messages
+ * with `buildEnvelope`, and every subscriber runs incoming messages through `parseEnvelope` before rendering them.
+ *
+ * An envelope looks like:
+ *
+ * {
+ *   schemaVersion: 1,
+ *   type: 'SMART_REPLY',
+ *   conversationId: '0Mw...',
+ *   participantRole: 'HUMAN_AGENT',
+ *   payload: { reply: 'Happy to help!', confidence: 0.82 },
+ *   timestamp: '2026-01-01T00:00:00.000Z'
+ * }
+ *
+ * @note Bump `SCHEMA_VERSION` whenever a change would break existing subscribers, and keep the previous version in
+ * `SUPPORTED_SCHEMA_VERSIONS` until every publisher has been migrated.
+ */
+
+/**
+ * @typedef {{
+ *  schemaVersion: number;
+ *  type: string;
+ *  conversationId: string;
+ *  participantRole: string;
+ *  payload: Record<string, any>;
+ *  timestamp: string;
+ * }} AgentAssistEnvelope
+ *
+ * @typedef {{
+ *  valid: boolean;
+ *  errors: string[];
+ * }} ValidationResult
+ */
+
+/**
+ * The current envelope version written by `buildEnvelope`.
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Envelope versions `validateEnvelope` accepts.
+ */
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+/**
+ * Agent Assist message types.
+ */
+export const MESSAGE_TYPES = {
+    ARTICLE_SUGGESTION: 'ARTICLE_SUGGESTION',
+    FAQ: 'FAQ',
+    SMART_REPLY: 'SMART_REPLY',
+    SUMMARIZATION: 'SUMMARIZATION',
+    KNOWLEDGE_ASSIST: 'KNOWLEDGE_ASSIST'
+};
+
+/**
+ * Conversation participant roles, matching the Dialogflow `Participant.Role` enum.
+ */
+export const PARTICIPANT_ROLES = {
+    HUMAN_AGENT: 'HUMAN_AGENT',
+    END_USER: 'END_USER',
+    AUTOMATED_AGENT: 'AUTOMATED_AGENT'
+};
+
+/**
+ * Per-type payload checks. Each returns a list of errors, empty when the payload is valid.
+ *
+ * @type {Record<string, (payload: Record<string, any>) => string[]>}
+ */
+const PAYLOAD_VALIDATORS = {
+    [MESSAGE_TYPES.ARTICLE_SUGGESTION]: (payload) => (
+        isNonEmptyString(payload.title) || isNonEmptyString(payload.uri) ? [] : ['payload requires a "title" or "uri".']
+    ),
+    [MESSAGE_TYPES.FAQ]: (payload) => (
+        isNonEmptyString(payload.answer) ? [] : ['payload.answer must be a non-empty string.']
+    ),
+    [MESSAGE_TYPES.SMART_REPLY]: (payload) => (
+        isNonEmptyString(payload.reply) ? [] : ['payload.reply must be a non-empty string.']
+    ),
+    [MESSAGE_TYPES.SUMMARIZATION]: (payload) => (
+        isNonEmptyString(payload.text) || isPlainObject(payload.textSections) ? [] : ['payload requires "text" or "textSections".']
+    ),
+    [MESSAGE_TYPES.KNOWLEDGE_ASSIST]: (payload) => (
+        isPlainObject(payload.suggestedQueryAnswer) && isNonEmptyString(payload.suggestedQueryAnswer.answerText)
+            ? []
+            : ['payload.suggestedQueryAnswer.answerText must be a non-empty string.']
+    )
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Builds a versioned envelope for the `Agent_Assist__c` message channel.
+ *
+ * @param {{
+ *  type: string;
+ *  conversationId: string;
+ *  participantRole: string;
+ *  payload: Record<string, any>;
+ *  timestamp?: string;
+ * }} params
+ * @returns {AgentAssistEnvelope}
+ * @throws {Error} If the resulting envelope doesn't pass `validateEnvelope`.
+ */
+export function buildEnvelope({ type, conversationId, participantRole, payload, timestamp }) {
+    const envelope = {
+        schemaVersion: SCHEMA_VERSION,
+        type,
+        conversationId,
+        participantRole,
+        payload,
+        timestamp: timestamp || new Date().toISOString()
+    };
+
+    const { valid, errors } = validateEnvelope(envelope);
+
+    if (!valid) {
+        throw new Error(`[agentAssistPayload] Invalid envelope: ${errors.join(' ')}`);
+    }
+
+    return envelope;
+}
+
+/**
+ * Checks that a message matches the envelope contract, including the type-specific payload shape.
+ *
+ * @param {unknown} message
+ * @returns {ValidationResult}
+ */
+export function validateEnvelope(message) {
+    if (!isPlainObject(message)) {
+        return { valid: false, errors: ['message must be an object.'] };
+    }
+
+    const errors = [];
+
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(message.schemaVersion)) {
+        errors.push(`schemaVersion "${message.schemaVersion}" is not supported.`);
+    }
+    if (!Object.values(MESSAGE_TYPES).includes(message.type)) {
+        errors.push(`type "${message.type}" is not a known message type.`);
+    }
+    if (!isNonEmptyString(message.conversationId)) {
+        errors.push('conversationId must be a non-empty string.');
+    }
+    if (!Object.values(PARTICIPANT_ROLES).includes(message.participantRole)) {
+        errors.push(`participantRole "${message.participantRole}" is not a known role.`);
+    }
+    if (message.timestamp !== undefined && Number.isNaN(Date.parse(message.timestamp))) {
+        errors.push('timestamp must be an ISO 8601 date string.');
+    }
+
+    if (!isPlainObject(message.payload)) {
+        errors.push('payload must be an object.');
+    } else if (PAYLOAD_VALIDATORS[message.type]) {
+        errors.push(...PAYLOAD_VALIDATORS[message.type](message.payload));
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates an incoming message, returning it as an envelope or `null` (and logging why) if it's malformed.
+ * Subscribers should drop `null` results rather than rendering them.
+ *
+ * @param {unknown} message
+ * @param {string} [subscriber] Name of the receiving component, used in the log.
+ * @returns {AgentAssistEnvelope | null}
+ */
+export function parseEnvelope(message, subscriber = 'unknown') {
+    const { valid, errors } = validateEnvelope(message);
+
+    if (!valid) {
+        console.warn(`[agentAssistPayload] ${subscriber} rejected a malformed message:`, errors, message);
+        return null;
+    }
+
+    return /** @type {AgentAssistEnvelope} */ (message);
+}
+
+/**
+ * Builds envelopes from an Agent Assist API response, e.g. an `AnalyzeContentResponse` (which carries
+ * `humanAgentSuggestionResults`) or a `SuggestConversationSummaryResponse` (which carries `summary`).
+ * Answers that don't pass validation are logged and skipped.
+ *
+ * @see https://cloud.google.com/dialogflow/es/docs/reference/rest/v2/projects.conversations.participants/analyzeContent
+ *
+ * @param {Record<string, any>} response
+ * @param {string} conversationId
+ * @param {string} [participantRole] The participant the suggestions are for. Defaults to `HUMAN_AGENT`.
+ * @returns {AgentAssistEnvelope[]}
+ */
+export function envelopesFromAgentAssistResponse(response, conversationId, participantRole = PARTICIPANT_ROLES.HUMAN_AGENT) {
+    if (!isPlainObject(response)) {
+        return [];
+    }
+
+    /**
+     * @type {{ type: string; payload: Record<string, any> }[]}
+     */
+    const answers = [];
+
+    (response.humanAgentSuggestionResults || response.endUserSuggestionResults || []).forEach((result) => {
+        if (result.suggestArticlesResponse) {
+            (result.suggestArticlesResponse.articleAnswers || []).forEach((payload) => {
+                answers.push({ type: MESSAGE_TYPES.ARTICLE_SUGGESTION, payload });
+            });
+        }
+        if (result.suggestFaqAnswersResponse) {
+            (result.suggestFaqAnswersResponse.faqAnswers || []).forEach((payload) => {
+                answers.push({ type: MESSAGE_TYPES.FAQ, payload });
+            });
+        }
+        if (result.suggestSmartRepliesResponse) {
+            (result.suggestSmartRepliesResponse.smartReplyAnswers || []).forEach((payload) => {
+                answers.push({ type: MESSAGE_TYPES.SMART_REPLY, payload });
+            });
+        }
+        if (result.suggestKnowledgeAssistResponse && result.suggestKnowledgeAssistResponse.knowledgeAssistAnswer) {
+            answers.push({
+                type: MESSAGE_TYPES.KNOWLEDGE_ASSIST,
+                payload: result.suggestKnowledgeAssistResponse.knowledgeAssistAnswer
+            });
+        }
+    });
+
+    if (isPlainObject(response.summary)) {
+        answers.push({ type: MESSAGE_TYPES.SUMMARIZATION, payload: response.summary });
+    }
+
+    /**
+     * @type {AgentAssistEnvelope[]}
+     */
+    const envelopes = [];
+
+    answers.forEach(({ type, payload }) => {
+        try {
+            envelopes.push(buildEnvelope({ type, conversationId, participantRole, payload }));
+        } catch (error) {
+            console.warn('[agentAssistPayload] Skipped an Agent Assist answer:', error.message, payload);
+        }
+    });
+
+    return envelopes;
+}
@@ -0,0 +1,102 @@
+// @ts-check
+/**
+ * @fileoverview Admin settings for the developer names and labels the setup components deploy. Lists every value from
+ * `ConfigController.getConfigSettings` with its default, and saves edits as `Agent_Assist_Config__mdt` records.
+ *
+ * Saving queues a metadata deployment, so new values apply once it completes. "Refresh" re-reads them.
+ */
+import { LightningElement } from 'lwc';
+import getConfigSettings from '@salesforce/apex/ConfigController.getConfigSettings';
+import saveConfig from '@salesforce/apex/ConfigController.saveConfig';
+
+/**
+ * @typedef {{
+ *  section: string;
+ *  key: string;
+ *  value: string;
+ *  defaultValue: string;
+ * }} ConfigSetting
+ */
+
+const TABLE_COLS = [
+    { label: 'Section', fieldName: 'section' },
+    { label: 'Key', fieldName: 'key' },
+    { label: 'Value', fieldName: 'value', editable: true },
+    { label: 'Default', fieldName: 'defaultValue' }
+];
+
+export default class AgentAssistSettings extends LightningElement {
+    isLoading = false;
+    error;
+
+    /**
+     * @type {ConfigSetting[]}
+     */
+    settings = [];
+
+    /**
+     * Unsaved edits from the datatable.
+     *
+     * @type {{ id: string, value: string }[]}
+     */
+    draftValues = [];
+
+    /**
+     * The Id of the last queued deployment.
+     */
+    deploymentId;
+
+    tableCols = TABLE_COLS;
+
+    connectedCallback() {
+        this.handleRefresh();
+    }
+
+    get tableData() {
+        return this.settings.map((setting) => ({
+            ...setting,
+            id: `${setting.section}.${setting.key}`
+        }));
+    }
+
+    get hasSettings() {
+        return this.settings.length > 0;
+    }
+
+    async handleRefresh() {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            this.settings = await getConfigSettings();
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Saves the datatable's draft values. Keys are `SECTION.KEY`; a blank value reverts to the default.
+     *
+     * @param {CustomEvent} event
+     */
+    async handleSave(event) {
+        const values = Object.fromEntries(event.detail.draftValues.map((draft) => [draft.id, draft.value || '']));
+
+        this.isLoading = true;
+        this.error = undefined;
+        this.deploymentId = undefined;
+
+        try {
+            this.deploymentId = await saveConfig({ values });
+            this.draftValues = [];
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
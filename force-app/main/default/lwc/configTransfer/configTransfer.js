@@ -0,0 +1,232 @@
+// @ts-check
+/**
+ * @fileoverview Exports the org's Agent Assist configuration as a JSON file and imports one exported from another org
+ * (e.g. sandbox to UAT to production), via `ConfigTransferController`.
+ *
+ * Importing a file first previews what each step would do, including conflicts with resources that already exist.
+ * Conflicting resources are left unchanged. If the file changes any resource names, the import stops after saving
+ * them, since the remaining steps must wait for the new names to apply.
+ */
+import { LightningElement, wire } from 'lwc';
+import exportConfig from '@salesforce/apex/ConfigTransferController.exportConfig';
+import getImportSteps from '@salesforce/apex/ConfigTransferController.getImportSteps';
+import previewImport from '@salesforce/apex/ConfigTransferController.previewImport';
+import runImportStep from '@salesforce/apex/ConfigTransferController.runImportStep';
+
+/**
+ * @typedef {{
+ *  type: string;
+ *  name: string;
+ *  action: 'create' | 'update' | 'exists' | 'skip' | 'conflict';
+ *  detail: string | null;
+ *  payload: string | null;
+ * }} PlannedChange
+ *
+ * @typedef {{
+ *  name: string;
+ *  label: string;
+ * }} ImportStep
+ */
+
+const ACTION_LABELS = {
+    create: 'Create',
+    update: 'Update',
+    exists: 'Already exists',
+    skip: 'Skip',
+    conflict: 'Conflict'
+};
+
+const TABLE_COLS = [
+    { label: 'Type', fieldName: 'type' },
+    { label: 'Name', fieldName: 'name' },
+    { label: 'Action', fieldName: 'actionLabel', initialWidth: 130 },
+    { label: 'Details', fieldName: 'detail', wrapText: true }
+];
+
+export default class ConfigTransfer extends LightningElement {
+    isLoading = false;
+    isSuccess = false;
+    error;
+
+    /**
+     * A `data:` URL of the last export, for the download link.
+     */
+    exportUrl;
+
+    exportFileName;
+
+    /**
+     * The contents of the file to import.
+     */
+    configJson;
+
+    fileName;
+
+    /**
+     * What the import would do (from `previewImport`), or what it did.
+     *
+     * @type {PlannedChange[] | undefined}
+     */
+    changes;
+
+    /**
+     * Whether `changes` is the outcome of an import, rather than its preview.
+     */
+    isImported = false;
+
+    /**
+     * Whether the import stopped after saving new resource names, so it must be run again once they apply.
+     */
+    isWaitingForSettings = false;
+
+    /**
+     * @type {ImportStep[]}
+     */
+    steps = [];
+
+    tableCols = TABLE_COLS;
+
+    @wire(getImportSteps)
+    wiredSteps({ error, data }) {
+        if (Array.isArray(data)) {
+            this.steps = data;
+        } else if (error) {
+            this.error = error;
+        }
+    }
+
+    get tableData() {
+        return (this.changes || []).map((change, index) => ({
+            ...change,
+            key: `${index}-${change.type}-${change.name}`,
+            actionLabel: ACTION_LABELS[change.action] || change.action
+        }));
+    }
+
+    get hasChanges() {
+        return Array.isArray(this.changes) && this.changes.length > 0;
+    }
+
+    get changesTitle() {
+        return this.isImported ? 'Import results' : 'Import preview';
+    }
+
+    get summary() {
+        const count = (action) => (this.changes || []).filter((change) => change.action === action).length;
+
+        return `${count('create')} to create, ${count('update')} to update, ${count('exists')} already exist, ${count('conflict')} conflicts, ${count('skip')} skipped.`;
+    }
+
+    get conflictCount() {
+        return (this.changes || []).filter((change) => change.action === 'conflict').length;
+    }
+
+    get hasConflicts() {
+        return this.conflictCount > 0;
+    }
+
+    get isImportDisabled() {
+        return this.isLoading || !this.configJson || this.isImported;
+    }
+
+    async handleExport() {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            const json = await exportConfig();
+
+            this.exportFileName = `agent-assist-config-${new Date().toISOString().slice(0, 10)}.json`;
+            this.exportUrl = `data:application/json;charset=utf-8,${encodeURIComponent(json)}`;
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleFileChange(event) {
+        const [file] = event.target.files;
+
+        this.changes = undefined;
+        this.isImported = false;
+        this.isSuccess = false;
+        this.isWaitingForSettings = false;
+        this.error = undefined;
+
+        if (!file) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.fileName = file.name;
+
+        try {
+            this.configJson = await file.text();
+            this.changes = await previewImport({ document: this.configJson });
+        } catch (error) {
+            this.configJson = undefined;
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Runs each import step in order (one Apex transaction each), stopping at the first failure, or after the settings
+     * step if it saved new resource names.
+     */
+    async handleImport() {
+        this.isLoading = true;
+        this.error = undefined;
+        this.isSuccess = false;
+        this.isWaitingForSettings = false;
+
+        /**
+         * @type {PlannedChange[]}
+         */
+        const results = [];
+
+        try {
+            for (const step of this.steps) {
+                // Steps must run in order, since later steps depend on what earlier ones create.
+                // eslint-disable-next-line no-await-in-loop
+                const stepResults = await runImportStep({ document: this.configJson, stepName: step.name });
+                results.push(...stepResults);
+
+                if (step.name === 'settings' && stepResults.length > 0) {
+                    this.isWaitingForSettings = true;
+                    break;
+                }
+            }
+
+            this.isSuccess = !this.isWaitingForSettings;
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.changes = results;
+            this.isImported = true;
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Previews the same file again, e.g. once new resource names have applied.
+     */
+    async handleRefreshPreview() {
+        this.isLoading = true;
+        this.error = undefined;
+        this.isImported = false;
+        this.isSuccess = false;
+        this.isWaitingForSettings = false;
+
+        try {
+            this.changes = await previewImport({ document: this.configJson });
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
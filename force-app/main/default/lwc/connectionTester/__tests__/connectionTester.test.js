@@ -0,0 +1,165 @@
+import { testConnection, testHttps, testWebSocket, PROBE_OUTCOMES } from 'c/connectionTester';
+import { FRAME_TYPES } from 'c/uiConnectorClient';
+import MockHttpServer from '../../../../../test/jest-mocks/mockHttpServer';
+import MockWebSocketServer from '../../../../../test/jest-mocks/mockWebSocketServer';
+
+const HTTPS_URL = 'https://ui-connector.example.com';
+const WSS_URL = 'wss://ui-connector.example.com';
+
+/**
+ * A clock that advances 25ms per reading, so latency is deterministic.
+ */
+function steppingClock() {
+    let time = 0;
+    return () => {
+        time += 25;
+        return time;
+    };
+}
+
+describe('c-connection-tester', () => {
+    let httpServer;
+    let wsServer;
+    let options;
+
+    beforeEach(() => {
+        httpServer = new MockHttpServer(HTTPS_URL);
+        httpServer.on('POST', '/register', () => ({ status: 200, body: { token: 'valid-token' } }));
+
+        wsServer = new MockWebSocketServer(WSS_URL);
+        wsServer.onMessage((connection, frame) => {
+            if (frame.type === FRAME_TYPES.AUTH) {
+                connection.send(
+                    frame.token === 'valid-token'
+                        ? { type: FRAME_TYPES.AUTH_OK }
+                        : { type: FRAME_TYPES.AUTH_ERROR, message: 'Invalid token' }
+                );
+            }
+        });
+
+        options = { fetchImpl: httpServer.fetch, WebSocketImpl: wsServer.WebSocket, now: steppingClock() };
+    });
+
+    it('reports both URLs as reachable, with latency, when the connector is healthy', async () => {
+        const [https, wss] = await testConnection({ httpsUrl: HTTPS_URL, wssUrl: WSS_URL }, options);
+
+        expect(https).toMatchObject({ target: 'https', outcome: PROBE_OUTCOMES.OK, ok: true, latencyMs: 25 });
+        expect(https).not.toHaveProperty('token');
+        expect(wss).toMatchObject({ target: 'wss', outcome: PROBE_OUTCOMES.OK, ok: true, latencyMs: 25 });
+        expect(wsServer.receivedOfType(FRAME_TYPES.AUTH)).toEqual([{ type: FRAME_TYPES.AUTH, token: 'valid-token' }]);
+        expect(wsServer.connections).toHaveLength(0);
+    });
+
+    it('reports a missing wss Trusted URL as not configured', async () => {
+        const [, wss] = await testConnection({ httpsUrl: HTTPS_URL, wssUrl: null }, options);
+
+        expect(wss).toMatchObject({ outcome: PROBE_OUTCOMES.NOT_CONFIGURED, ok: false });
+    });
+
+    it('reports a 401 from /register as an auth rejection', async () => {
+        httpServer.on('POST', '/register', () => ({ status: 401 }));
+
+        const result = await testHttps(HTTPS_URL, options);
+
+        expect(result).toMatchObject({ outcome: PROBE_OUTCOMES.AUTH_REJECTED, ok: false });
+        expect(result.message).toContain('401');
+    });
+
+    it('reports other error statuses as http errors', async () => {
+        httpServer.on('POST', '/register', () => ({ status: 503 }));
+
+        expect(await testHttps(HTTPS_URL, options)).toMatchObject({ outcome: PROBE_OUTCOMES.HTTP_ERROR });
+    });
+
+    it('reports an auth_error frame as an auth rejection', async () => {
+        const result = await testWebSocket(WSS_URL, { ...options, token: 'expired-token' });
+
+        expect(result).toMatchObject({ outcome: PROBE_OUTCOMES.AUTH_REJECTED, ok: false });
+        expect(result.message).toContain('Invalid token');
+    });
+
+    it('reports a CSP violation for the https URL', async () => {
+        httpServer.failWith('csp');
+
+        expect(await testHttps(HTTPS_URL, options)).toMatchObject({ outcome: PROBE_OUTCOMES.CSP_VIOLATION });
+    });
+
+    it('reports a CSP violation for the wss URL', async () => {
+        wsServer.blockByCsp();
+
+        expect(await testWebSocket(WSS_URL, options)).toMatchObject({ outcome: PROBE_OUTCOMES.CSP_VIOLATION });
+    });
+
+    it('ignores CSP violations for other origins', async () => {
+        httpServer.failWith('csp');
+
+        const result = await testHttps(HTTPS_URL, { ...options, fetchImpl: (url) => httpServer.fetch(url.replace(HTTPS_URL, 'https://other.example.com')) });
+
+        expect(result.outcome).not.toBe(PROBE_OUTCOMES.CSP_VIOLATION);
+    });
+
+    it('reports a failed request as a network error', async () => {
+        httpServer.failWith('network');
+
+        const result = await testHttps(HTTPS_URL, options);
+
+        expect(result).toMatchObject({ outcome: PROBE_OUTCOMES.NETWORK_ERROR, ok: false });
+        expect(result.message).toContain('check the hostname, its certificate');
+    });
+
+    it('reports a typo in the hostname as a network error', async () => {
+        expect(await testHttps('https://ui-conector.example.com', options)).toMatchObject({ outcome: PROBE_OUTCOMES.NETWORK_ERROR });
+    });
+
+    it('reports a WebSocket that fails to connect as a network error', async () => {
+        wsServer.refuseConnections();
+
+        expect(await testWebSocket(WSS_URL, options)).toMatchObject({ outcome: PROBE_OUTCOMES.NETWORK_ERROR, ok: false });
+    });
+
+    it('reports DNS and TLS failures separately, as the Apex probe classifies them', async () => {
+        httpServer.failWith('network');
+
+        const dns = await testHttps(HTTPS_URL, { ...options, probeImpl: jest.fn().mockResolvedValue(PROBE_OUTCOMES.DNS_ERROR) });
+        const tls = await testHttps(HTTPS_URL, { ...options, probeImpl: jest.fn().mockResolvedValue(PROBE_OUTCOMES.TLS_ERROR) });
+
+        expect(dns).toMatchObject({ outcome: PROBE_OUTCOMES.DNS_ERROR, ok: false });
+        expect(dns.message).toContain('could not be resolved');
+        expect(tls).toMatchObject({ outcome: PROBE_OUTCOMES.TLS_ERROR, ok: false });
+    });
+
+    it('probes a WebSocket that fails to connect', async () => {
+        const probeImpl = jest.fn().mockResolvedValue(PROBE_OUTCOMES.TLS_ERROR);
+        wsServer.refuseConnections();
+
+        expect(await testWebSocket(WSS_URL, { ...options, probeImpl })).toMatchObject({ outcome: PROBE_OUTCOMES.TLS_ERROR, ok: false });
+        expect(probeImpl).toHaveBeenCalledWith(WSS_URL);
+    });
+
+    it('falls back to a network error when the probe fails or is inconclusive', async () => {
+        httpServer.failWith('network');
+
+        const inconclusive = await testHttps(HTTPS_URL, { ...options, probeImpl: jest.fn().mockResolvedValue(null) });
+        const failed = await testHttps(HTTPS_URL, { ...options, probeImpl: jest.fn().mockRejectedValue(new Error('Unauthorized endpoint')) });
+
+        expect(inconclusive.outcome).toBe(PROBE_OUTCOMES.NETWORK_ERROR);
+        expect(failed.outcome).toBe(PROBE_OUTCOMES.NETWORK_ERROR);
+    });
+
+    it('does not probe a CSP violation', async () => {
+        const probeImpl = jest.fn();
+        httpServer.failWith('csp');
+
+        await testHttps(HTTPS_URL, { ...options, probeImpl });
+
+        expect(probeImpl).not.toHaveBeenCalled();
+    });
+
+    it('times out when the connector never responds', async () => {
+        httpServer.failWith('hang');
+
+        const result = await testHttps(HTTPS_URL, { ...options, timeoutMs: 20 });
+
+        expect(result).toMatchObject({ outcome: PROBE_OUTCOMES.TIMEOUT, ok: false });
+    });
+});
@@ -0,0 +1,372 @@
+// @ts-check
+/**
+ * @fileoverview Tests, from the browser, whether a UI Connector profile's Trusted URLs actually work. A Trusted URL
+ * can be saved and active and still be wrong (a typo'd Cloud Run subdomain, a missing wss record), which only shows
+ * up once an agent opens a conversation. Here's the flow:
+ *
+ * - `testHttps` POSTs to the connector's `/register` endpoint (as `requestAuthToken` does), which checks DNS, TLS,
+ *   the CSP and auth in one request.
+ * - `testWebSocket` opens a socket to the wss URL and, given the token from `/register`, sends an `auth` frame.
+ * - `testConnection` runs both and reports one `ProbeResult` per URL, with an outcome from `PROBE_OUTCOMES` and latency.
+ *
+ * Browsers deliberately hide why a request failed, so outcomes are classified from what is observable:
+ *
+ * - CSP violations from `securitypolicyviolation` events for the URL's origin.
+ * - Auth rejections from a 401/403 on `/register`, an `auth_error` frame, or an auth-related close code.
+ * - DNS and TLS errors from `ConnectionProbeController.probe`. A failed fetch is an opaque "Failed to fetch" and a
+ *   failed WebSocket closes with 1006, whatever the cause, so the URL is called again from Apex, whose callout errors
+ *   name an unknown host or a failed handshake. Anything the probe can't explain is a generic network error.
+ */
+import { FRAME_TYPES } from 'c/uiConnectorClient';
+import { toOrigin } from 'c/trustedOrigins';
+import probeConnection from '@salesforce/apex/ConnectionProbeController.probe';
+
+/**
+ * @typedef {{
+ *  target: 'https' | 'wss';
+ *  url: string | null;
+ *  outcome: string;
+ *  ok: boolean;
+ *  latencyMs: number | null;
+ *  message: string;
+ * }} ProbeResult
+ *
+ * @typedef {{
+ *  fetchImpl?: typeof fetch;
+ *  WebSocketImpl?: typeof WebSocket;
+ *  eventTarget?: EventTarget | null;
+ *  probeImpl?: (url: string) => Promise<string | null | undefined>;
+ *  timeoutMs?: number;
+ *  now?: () => number;
+ * }} ProbeOptions
+ */
+
+export const PROBE_OUTCOMES = {
+    OK: 'ok',
+    CSP_VIOLATION: 'csp_violation',
+    DNS_ERROR: 'dns_error',
+    TLS_ERROR: 'tls_error',
+    AUTH_REJECTED: 'auth_rejected',
+    HTTP_ERROR: 'http_error',
+    TIMEOUT: 'timeout',
+    NETWORK_ERROR: 'network_error',
+    NOT_CONFIGURED: 'not_configured'
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Close codes a connector uses to reject a socket's credentials: policy violation, and the 4001/4003 convention
+ * for unauthorized/forbidden.
+ */
+const AUTH_CLOSE_CODES = new Set([1008, 4001, 4003]);
+
+const AUTH_STATUS_CODES = new Set([401, 403]);
+
+/**
+ * Rejects `withTimeout` when the probe takes too long.
+ */
+class TimeoutError extends Error {}
+
+const MESSAGES = {
+    [PROBE_OUTCOMES.CSP_VIOLATION]: 'Blocked by the Content Security Policy. Check that the Trusted URL is active and matches this URL exactly.',
+    [PROBE_OUTCOMES.DNS_ERROR]: 'The hostname could not be resolved. Check the URL for typos, e.g. in the Cloud Run subdomain.',
+    [PROBE_OUTCOMES.TLS_ERROR]: 'The TLS handshake failed. Check the certificate served for this hostname.',
+    [PROBE_OUTCOMES.NETWORK_ERROR]: "Unable to connect. The browser doesn't report why, so check the hostname, its certificate and any firewall."
+};
+
+/**
+ * Tests the https URL by requesting an auth token from `/register`.
+ *
+ * @param {string | null | undefined} url
+ * @param {ProbeOptions} [options]
+ * @returns {Promise<ProbeResult & { token?: string }>}
+ */
+export async function testHttps(url, options = {}) {
+    if (!url) {
+        return buildResult('https', null, PROBE_OUTCOMES.NOT_CONFIGURED, null, 'No https Trusted URL is configured.');
+    }
+
+    const { fetchImpl = (...args) => fetch(...args), timeoutMs = DEFAULT_TIMEOUT_MS, now = defaultNow } = options;
+    const cspWatcher = watchCspViolations(getEventTarget(options), url);
+    const start = now();
+
+    try {
+        const response = await withTimeout(
+            fetchImpl(`${url.replace(/\/+$/, '')}/register`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' }
+            }),
+            timeoutMs
+        );
+        const latencyMs = Math.round(now() - start);
+
+        if (AUTH_STATUS_CODES.has(response.status)) {
+            return buildResult('https', url, PROBE_OUTCOMES.AUTH_REJECTED, latencyMs, `/register rejected the request with ${response.status}. Check the connector's auth settings.`);
+        }
+        if (!response.ok) {
+            return buildResult('https', url, PROBE_OUTCOMES.HTTP_ERROR, latencyMs, `/register returned ${response.status}.`);
+        }
+
+        let token;
+        try {
+            ({ token } = await response.json());
+        } catch {
+            token = undefined;
+        }
+
+        return {
+            ...buildResult('https', url, PROBE_OUTCOMES.OK, latencyMs, token ? 'Reachable, and issued an auth token.' : 'Reachable, but /register did not return a token.'),
+            token
+        };
+    } catch (error) {
+        const latencyMs = Math.round(now() - start);
+
+        if (error instanceof TimeoutError) {
+            return buildResult('https', url, PROBE_OUTCOMES.TIMEOUT, latencyMs, `No response within ${timeoutMs / 1000}s.`);
+        }
+
+        // Violation events are queued as a separate task, so they can arrive just after the request fails.
+        await nextTask();
+
+        const outcome = cspWatcher.violations.length ? PROBE_OUTCOMES.CSP_VIOLATION : await diagnoseNetworkError(url, options);
+
+        return buildResult('https', url, outcome, latencyMs, MESSAGES[outcome]);
+    } finally {
+        cspWatcher.stop();
+    }
+}
+
+/**
+ * Tests the wss URL by completing a WebSocket handshake and, given a token, the connector's `auth` exchange.
+ *
+ * @param {string | null | undefined} url
+ * @param {ProbeOptions & { token?: string }} [options]
+ * @returns {Promise<ProbeResult>}
+ */
+export function testWebSocket(url, options = {}) {
+    if (!url) {
+        return Promise.resolve(
+            buildResult('wss', null, PROBE_OUTCOMES.NOT_CONFIGURED, null, 'No wss Trusted URL is configured. Voice integrations and the conversation relay need one.')
+        );
+    }
+
+    const { WebSocketImpl = window.WebSocket, timeoutMs = DEFAULT_TIMEOUT_MS, now = defaultNow, token } = options;
+    const cspWatcher = watchCspViolations(getEventTarget(options), url);
+    const start = now();
+
+    return new Promise((resolve) => {
+        /**
+         * @type {WebSocket | null}
+         */
+        let socket = null;
+        let handshakeLatencyMs = null;
+        let isSettled = false;
+        let timeoutTimer = null;
+
+        /**
+         * @param {string} outcome
+         * @param {string} message
+         * @param {number} [latencyMs] Defaults to the handshake's, or the time until now if there was none.
+         */
+        const finish = (outcome, message, latencyMs = handshakeLatencyMs === null ? Math.round(now() - start) : handshakeLatencyMs) => {
+            if (isSettled) {
+                return;
+            }
+            isSettled = true;
+            clearTimeout(timeoutTimer);
+            cspWatcher.stop();
+
+            if (socket && socket.readyState <= 1) {
+                socket.close(1000, 'Connection test complete');
+            }
+
+            resolve(buildResult('wss', url, outcome, latencyMs, message));
+        };
+
+        // The socket has already failed, so the time the probe takes isn't the connector's.
+        const finishWithDiagnosis = async () => {
+            clearTimeout(timeoutTimer);
+
+            const latencyMs = Math.round(now() - start);
+            const outcome = await diagnoseNetworkError(url, options);
+
+            finish(outcome, MESSAGES[outcome], latencyMs);
+        };
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        timeoutTimer = setTimeout(() => finish(PROBE_OUTCOMES.TIMEOUT, `No response within ${timeoutMs / 1000}s.`), timeoutMs);
+
+        try {
+            socket = new WebSocketImpl(url);
+        } catch (error) {
+            // Some browsers throw a SecurityError from the constructor when the CSP blocks the URL.
+            if (error && error.name === 'SecurityError') {
+                finish(PROBE_OUTCOMES.CSP_VIOLATION, MESSAGES[PROBE_OUTCOMES.CSP_VIOLATION]);
+            } else {
+                finishWithDiagnosis();
+            }
+            return;
+        }
+
+        socket.onopen = () => {
+            handshakeLatencyMs = Math.round(now() - start);
+
+            if (!token) {
+                finish(PROBE_OUTCOMES.OK, 'Handshake completed. Auth was not tested, since /register did not issue a token.');
+                return;
+            }
+            socket.send(JSON.stringify({ type: FRAME_TYPES.AUTH, token }));
+        };
+
+        socket.onmessage = (event) => {
+            let frame;
+            try {
+                frame = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+
+            if (frame.type === FRAME_TYPES.AUTH_OK) {
+                finish(PROBE_OUTCOMES.OK, 'Handshake and auth completed.');
+            } else if (frame.type === FRAME_TYPES.AUTH_ERROR) {
+                finish(PROBE_OUTCOMES.AUTH_REJECTED, `The connector rejected the auth token${frame.message ? `: ${frame.message}` : '.'}`);
+            }
+        };
+
+        socket.onclose = async (event) => {
+            if (isSettled) {
+                return;
+            }
+
+            if (handshakeLatencyMs !== null) {
+                finish(
+                    AUTH_CLOSE_CODES.has(event.code) ? PROBE_OUTCOMES.AUTH_REJECTED : PROBE_OUTCOMES.NETWORK_ERROR,
+                    `The connector closed the socket (${event.code}${event.reason ? `: ${event.reason}` : ''}).`
+                );
+                return;
+            }
+
+            await nextTask();
+
+            if (cspWatcher.violations.length) {
+                finish(PROBE_OUTCOMES.CSP_VIOLATION, MESSAGES[PROBE_OUTCOMES.CSP_VIOLATION]);
+            } else {
+                finishWithDiagnosis();
+            }
+        };
+    });
+}
+
+/**
+ * Tests a UI Connector profile's https URL, then its wss URL using the token `/register` issued.
+ *
+ * @param {{ httpsUrl?: string | null, wssUrl?: string | null }} profile
+ * @param {ProbeOptions} [options]
+ * @returns {Promise<ProbeResult[]>}
+ */
+export async function testConnection(profile, options = {}) {
+    const { token, ...httpsResult } = await testHttps(profile.httpsUrl, options);
+    const wssResult = await testWebSocket(profile.wssUrl, { ...options, token });
+
+    return [httpsResult, wssResult];
+}
+
+/**
+ * Asks `ConnectionProbeController` why `url` is unreachable.
+ *
+ * @param {string} url
+ * @param {ProbeOptions} options
+ * @returns {Promise<string>} `DNS_ERROR` or `TLS_ERROR`, or `NETWORK_ERROR` if the probe can't tell.
+ */
+async function diagnoseNetworkError(url, options) {
+    const { probeImpl = (probeUrl) => probeConnection({ url: probeUrl }) } = options;
+
+    try {
+        const outcome = await probeImpl(url);
+
+        return outcome === PROBE_OUTCOMES.DNS_ERROR || outcome === PROBE_OUTCOMES.TLS_ERROR ? outcome : PROBE_OUTCOMES.NETWORK_ERROR;
+    } catch (error) {
+        console.error('[connectionTester] Unable to probe the connection from Apex:', error);
+        return PROBE_OUTCOMES.NETWORK_ERROR;
+    }
+}
+
+/**
+ * @param {ProbeResult['target']} target
+ * @param {string | null} url
+ * @param {string} outcome
+ * @param {number | null} latencyMs
+ * @param {string} message
+ * @returns {ProbeResult}
+ */
+function buildResult(target, url, outcome, latencyMs, message) {
+    return { target, url, outcome, ok: outcome === PROBE_OUTCOMES.OK, latencyMs, message };
+}
+
+/**
+ * Collects `securitypolicyviolation` events for `url`'s origin until `stop` is called.
+ *
+ * @param {EventTarget | null} eventTarget
+ * @param {string} url
+ */
+function watchCspViolations(eventTarget, url) {
+    const origin = toOrigin(url);
+    const violations = [];
+    const listener = (event) => {
+        if (origin && toOrigin(event.blockedURI) === origin) {
+            violations.push(event);
+        }
+    };
+
+    if (eventTarget) {
+        eventTarget.addEventListener('securitypolicyviolation', listener);
+    }
+
+    return {
+        violations,
+        stop: () => {
+            if (eventTarget) {
+                eventTarget.removeEventListener('securitypolicyviolation', listener);
+            }
+        }
+    };
+}
+
+/**
+ * @param {ProbeOptions} options
+ * @returns {EventTarget | null}
+ */
+function getEventTarget(options) {
+    if (options.eventTarget !== undefined) {
+        return options.eventTarget;
+    }
+    return typeof document === 'undefined' ? null : document;
+}
+
+/**
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} timeoutMs
+ * @returns {Promise<T>}
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        timer = setTimeout(() => reject(new TimeoutError()), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function nextTask() {
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function defaultNow() {
+    return performance.now();
+}
@@ -0,0 +1,166 @@
+import { createElement } from 'lwc';
+import ConversationRelay from 'c/conversationRelay';
+import { subscribe } from 'lightning/messageService';
+import { getConversationLog } from 'lightning/conversationToolkitApi';
+import END_USER_MESSAGE_CHANNEL from '@salesforce/messageChannel/lightning__conversationEndUserMessage';
+import getActiveConnectorProfile from '@salesforce/apex/UiConnectorProfileController.getActiveConnectorProfile';
+import { FRAME_TYPES } from 'c/uiConnectorClient';
+import MockHttpServer from '../../../../../test/jest-mocks/mockHttpServer';
+import MockWebSocketServer from '../../../../../test/jest-mocks/mockWebSocketServer';
+
+jest.mock(
+    '@salesforce/apex/UiConnectorProfileController.getActiveConnectorProfile',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = '0Mw000000000001AAA';
+const HTTPS_URL = 'https://ui-connector.example.com';
+const WSS_URL = 'wss://ui-connector.example.com';
+const SENT_AT = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+/**
+ * Lets pending promise callbacks (socket open, `/register`, the conversation log) run.
+ */
+function flushPromises() {
+    return Array.from({ length: 10 }).reduce((promise) => promise.then(() => undefined), Promise.resolve());
+}
+
+async function advance(ms) {
+    await flushPromises();
+    jest.advanceTimersByTime(ms);
+    await flushPromises();
+}
+
+describe('c-conversation-relay', () => {
+    let httpServer;
+    let wsServer;
+    let originalFetch;
+    let originalWebSocket;
+    let isAuthenticating;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(SENT_AT + 2000);
+
+        httpServer = new MockHttpServer(HTTPS_URL);
+        httpServer.on('POST', '/register', () => ({ status: 200, body: { token: 'valid-token' } }));
+
+        isAuthenticating = true;
+        wsServer = new MockWebSocketServer(WSS_URL);
+        wsServer.onMessage((connection, frame) => {
+            if (frame.type === FRAME_TYPES.AUTH && isAuthenticating) {
+                connection.send({ type: FRAME_TYPES.AUTH_OK });
+            }
+        });
+
+        originalFetch = window.fetch;
+        originalWebSocket = window.WebSocket;
+        window.fetch = httpServer.fetch;
+        window.WebSocket = wsServer.WebSocket;
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        window.fetch = originalFetch;
+        window.WebSocket = originalWebSocket;
+        getConversationLog.mockResolvedValue({ messages: [] });
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    async function createRelay() {
+        const element = createElement('c-conversation-relay', { is: ConversationRelay });
+        element.recordId = RECORD_ID;
+        document.body.appendChild(element);
+        getActiveConnectorProfile.emit({ httpsUrl: HTTPS_URL, wssUrl: WSS_URL, isHttpsActive: true, isWssActive: true });
+        await flushPromises();
+        return element;
+    }
+
+    /**
+     * Delivers a customer message the way the toolkit's end-user message channel would.
+     */
+    function receiveEndUserMessage(message) {
+        const [, , handler] = subscribe.mock.calls.find(([, channel]) => channel === END_USER_MESSAGE_CHANNEL);
+        handler({ recordId: RECORD_ID, ...message });
+    }
+
+    function sentTurns() {
+        return wsServer.receivedOfType(FRAME_TYPES.ANALYZE_CONTENT).flatMap((frame) => frame.requests);
+    }
+
+    function relayedTurnsLabel(element) {
+        return element.shadowRoot.querySelector('span').textContent;
+    }
+
+    it('sends a message seen in both the backfill and live once', async () => {
+        getConversationLog.mockResolvedValue({
+            messages: [{ type: 'EndUser', content: 'My order is late', timestamp: new Date(SENT_AT).toISOString() }]
+        });
+        await createRelay();
+
+        // The live copy has no timestamp, so it's stamped when it arrives, two seconds after the logged one.
+        receiveEndUserMessage({ content: { text: 'My order is late' } });
+        await advance(500);
+
+        expect(sentTurns()).toEqual([
+            expect.objectContaining({ participantRole: 'END_USER', textInput: expect.objectContaining({ text: 'My order is late' }) })
+        ]);
+    });
+
+    it('sends a repeated message once the duplicate window has passed', async () => {
+        await createRelay();
+
+        receiveEndUserMessage({ content: 'Hello?' });
+        await advance(500);
+        jest.setSystemTime(Date.now() + 15000);
+        receiveEndUserMessage({ content: 'Hello?' });
+        await advance(500);
+
+        expect(sentTurns()).toHaveLength(2);
+    });
+
+    it('keeps two identical live turns', async () => {
+        await createRelay();
+
+        receiveEndUserMessage({ content: 'ok' });
+        await advance(500);
+        jest.setSystemTime(Date.now() + 2000);
+        receiveEndUserMessage({ content: 'ok' });
+        await advance(500);
+
+        expect(sentTurns()).toHaveLength(2);
+    });
+
+    it('counts turns once they are sent, not while they are buffered', async () => {
+        isAuthenticating = false;
+        const element = await createRelay();
+
+        receiveEndUserMessage({ content: 'My order is late', timestamp: SENT_AT });
+        await advance(500);
+
+        expect(sentTurns()).toHaveLength(0);
+        expect(relayedTurnsLabel(element)).toBe('0 turns sent to Agent Assist');
+
+        wsServer.broadcast({ type: FRAME_TYPES.AUTH_OK });
+        await flushPromises();
+
+        expect(sentTurns()).toHaveLength(1);
+        expect(relayedTurnsLabel(element)).toBe('1 turns sent to Agent Assist');
+    });
+
+    it('sends queued turns when removed while connected', async () => {
+        const element = await createRelay();
+
+        receiveEndUserMessage({ content: 'One more thing', timestamp: SENT_AT });
+        document.body.removeChild(element);
+
+        expect(sentTurns()).toEqual([expect.objectContaining({ textInput: expect.objectContaining({ text: 'One more thing' }) })]);
+    });
+});
@@ -0,0 +1,355 @@
+// @ts-check
+/**
+ * @fileoverview Relays a Messaging Session's conversation turns to the UI Connector so Agent Assist can generate
+ * suggestions. Place it on the Messaging Session record page. Here's the flow:
+ *
+ * - On load, reads the https and wss Trusted URLs of the UI Connector profile in use (see `cspTrustedSiteForm`) and
+ *   opens a `UiConnectorClient`, using `/register` on the https URL for the auth token.
+ * - Backfills turns already in the conversation via the Conversation Toolkit API's `getConversationLog`.
+ * - Subscribes to the toolkit's end-user and agent message channels for new turns.
+ * - Turns are de-duplicated, queued, and flushed in order (by timestamp, then arrival) as a single
+ *   `analyze_content` frame every `BATCH_DELAY_MS`. The backfill and the live channels can both deliver a message, so
+ *   a turn from one with the same role and text as a turn from the other within `DUPLICATE_WINDOW_MS` is treated as a
+ *   copy of it. Turns from the same source are never copies, so a customer can send "ok" twice.
+ * - Turns only count as relayed once the client has sent them, not while it buffers them.
+ */
+import { LightningElement, api, wire } from 'lwc';
+import { subscribe, unsubscribe, MessageContext } from 'lightning/messageService';
+import END_USER_MESSAGE_CHANNEL from '@salesforce/messageChannel/lightning__conversationEndUserMessage';
+import AGENT_SEND_CHANNEL from '@salesforce/messageChannel/lightning__conversationAgentSend';
+import getActiveConnectorProfile from '@salesforce/apex/UiConnectorProfileController.getActiveConnectorProfile';
+import UiConnectorClient, { CONNECTION_STATUS, FRAME_TYPES, requestAuthToken } from 'c/uiConnectorClient';
+import { PARTICIPANT_ROLES } from 'c/agentAssistPayload';
+import LANG from '@salesforce/i18n/lang';
+
+/**
+ * @typedef {{
+ *  id?: string;
+ *  source: 'backfill' | 'live';
+ *  hasCopy?: boolean;
+ *  sequence: number;
+ *  participantRole: string;
+ *  text: string;
+ *  timestamp: number;
+ * }} ConversationTurn
+ */
+
+/**
+ * How long turns are collected before being sent as one batch.
+ */
+const BATCH_DELAY_MS = 500;
+
+/**
+ * The most turns sent in a single `analyze_content` frame.
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * How far apart two turns with the same role and text can be and still be copies of one message. The conversation log
+ * and the live channels report slightly different times for the same message, or none at all.
+ */
+const DUPLICATE_WINDOW_MS = 10000;
+
+/**
+ * Conversation log entry types that come from the customer. Everything else with text is treated as the agent.
+ */
+const END_USER_LOG_TYPES = ['EndUser', 'Chasitor'];
+
+/**
+ * Extracts the text of a toolkit message, whose `content` is either a string or `{ text }`.
+ *
+ * @param {Record<string, any>} message
+ * @returns {string}
+ */
+function getMessageText(message) {
+    const content = message.content !== undefined ? message.content : message.text;
+
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return content && typeof content.text === 'string' ? content.text : '';
+}
+
+/**
+ * @param {Record<string, any>} message
+ * @returns {number}
+ */
+function getMessageTime(message) {
+    const time = new Date(message.timestamp || message.messageSendTime || Date.now()).getTime();
+
+    return Number.isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * Orders turns by timestamp, falling back to the order they were received.
+ *
+ * @param {ConversationTurn} a
+ * @param {ConversationTurn} b
+ */
+function compareTurns(a, b) {
+    return a.timestamp - b.timestamp || a.sequence - b.sequence;
+}
+
+/**
+ * Turns without ids only match a turn from the other source that hasn't matched one yet, since each source reports a
+ * message once.
+ *
+ * @param {ConversationTurn} a
+ * @param {ConversationTurn} b
+ * @returns {boolean} Whether both turns are copies of the same message.
+ */
+function isSameTurn(a, b) {
+    if (a.id && b.id) {
+        return a.id === b.id;
+    }
+    if (a.source === b.source || a.hasCopy || b.hasCopy) {
+        return false;
+    }
+
+    return a.participantRole === b.participantRole && a.text === b.text && Math.abs(a.timestamp - b.timestamp) <= DUPLICATE_WINDOW_MS;
+}
+
+/**
+ * Compares record Ids regardless of 15/18 character form.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+function isSameRecord(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.slice(0, 15) === b.slice(0, 15);
+}
+
+export default class ConversationRelay extends LightningElement {
+    /**
+     * The Messaging Session Id. Used as the Agent Assist conversation Id.
+     */
+    @api recordId;
+
+    @wire(MessageContext)
+    messageContext;
+
+    /**
+     * @type {UiConnectorClient | null}
+     */
+    client = null;
+
+    status = CONNECTION_STATUS.DISCONNECTED;
+
+    error;
+
+    /**
+     * Turns already queued or sent, so a turn seen both in the backfill and live is only sent once.
+     *
+     * @type {ConversationTurn[]}
+     */
+    seenTurns = [];
+
+    /**
+     * @type {ConversationTurn[]}
+     */
+    pendingTurns = [];
+
+    relayedTurnCount = 0;
+
+    sequence = 0;
+
+    batchTimer = null;
+
+    hasBackfilled = false;
+
+    subscriptions = [];
+
+    @wire(getActiveConnectorProfile)
+    wiredConnectorProfile({ data, error }) {
+        if (error) {
+            console.error('Error retrieving the UI Connector profile:', error);
+            this.error = 'Unable to read the UI Connector Trusted URLs.';
+            return;
+        }
+        if (data === undefined) {
+            return;
+        }
+
+        if (!data || !data.httpsUrl || !data.wssUrl || !data.isHttpsActive || !data.isWssActive) {
+            this.error = 'Active "UI Connector (https)" and "UI Connector (wss)" Trusted URLs are required in the UI Connector profile in use to relay this conversation.';
+            return;
+        }
+
+        this.error = undefined;
+        this.startClient(data.httpsUrl, data.wssUrl);
+    }
+
+    get statusLabel() {
+        return this.status.charAt(0).toUpperCase() + this.status.slice(1);
+    }
+
+    get badgeClass() {
+        return this.status === CONNECTION_STATUS.CONNECTED ? 'slds-theme_success' : 'slds-theme_warning';
+    }
+
+    connectedCallback() {
+        this.subscriptions = [
+            subscribe(this.messageContext, END_USER_MESSAGE_CHANNEL, (message) =>
+                this.handleToolkitMessage(message, PARTICIPANT_ROLES.END_USER)
+            ),
+            subscribe(this.messageContext, AGENT_SEND_CHANNEL, (message) =>
+                this.handleToolkitMessage(message, PARTICIPANT_ROLES.HUMAN_AGENT)
+            )
+        ];
+    }
+
+    renderedCallback() {
+        if (!this.hasBackfilled && this.recordId && this.refs.toolkit) {
+            this.hasBackfilled = true;
+            this.backfillConversationLog();
+        }
+    }
+
+    disconnectedCallback() {
+        this.subscriptions.forEach((subscription) => unsubscribe(subscription));
+        this.subscriptions = [];
+
+        // Anything the client buffered is dropped with it, so only flush to an authenticated socket. Unsent turns
+        // aren't lost to Agent Assist: they're in the conversation log the next load backfills.
+        if (this.client && this.client.isConnected) {
+            this.flushTurns();
+        }
+        clearTimeout(this.batchTimer);
+
+        if (this.client) {
+            this.client.disconnect();
+            this.client = null;
+        }
+    }
+
+    /**
+     * @param {string} uiConnectorUrl
+     * @param {string} uiConnectorWssUrl
+     */
+    startClient(uiConnectorUrl, uiConnectorWssUrl) {
+        if (this.client) {
+            return;
+        }
+
+        this.client = new UiConnectorClient({
+            url: uiConnectorWssUrl,
+            getAuthToken: () => requestAuthToken(uiConnectorUrl),
+            messageContext: this.messageContext,
+            onSend: (message) => {
+                if (message.type === FRAME_TYPES.ANALYZE_CONTENT) {
+                    this.relayedTurnCount += message.requests.length;
+                }
+            },
+            onStatusChange: (status) => {
+                this.status = status;
+
+                if (status === CONNECTION_STATUS.UNAUTHORIZED) {
+                    this.error = `The UI Connector rejected this session, so the conversation isn't being relayed. Reload the page to retry. (${this.client.authError})`;
+                }
+            }
+        });
+
+        this.client.connect();
+        this.flushTurns();
+    }
+
+    /**
+     * Queues every turn already in the conversation, so suggestions reflect the full context.
+     */
+    async backfillConversationLog() {
+        try {
+            const log = await this.refs.toolkit.getConversationLog(this.recordId);
+            const messages = (log && log.messages) || [];
+
+            messages.forEach((message) => {
+                const role = END_USER_LOG_TYPES.includes(message.type) ? PARTICIPANT_ROLES.END_USER : PARTICIPANT_ROLES.HUMAN_AGENT;
+                this.queueTurn(message, role, 'backfill');
+            });
+        } catch (error) {
+            console.error('Error retrieving conversation log:', error);
+        }
+    }
+
+    /**
+     * @param {Record<string, any>} message
+     * @param {string} participantRole
+     */
+    handleToolkitMessage(message, participantRole) {
+        if (!message || !isSameRecord(message.recordId, this.recordId)) {
+            return;
+        }
+
+        this.queueTurn(message, participantRole, 'live');
+    }
+
+    /**
+     * @param {Record<string, any>} message
+     * @param {string} participantRole
+     * @param {ConversationTurn['source']} source
+     */
+    queueTurn(message, participantRole, source) {
+        const text = getMessageText(message).trim();
+
+        if (!text) {
+            return;
+        }
+
+        /** @type {ConversationTurn} */
+        const turn = {
+            id: message.id || message.messageId,
+            source,
+            sequence: this.sequence++,
+            participantRole,
+            text,
+            timestamp: getMessageTime(message)
+        };
+
+        const original = this.seenTurns.find((seenTurn) => isSameTurn(seenTurn, turn));
+
+        if (original) {
+            original.hasCopy = true;
+            return;
+        }
+
+        this.seenTurns.push(turn);
+        this.pendingTurns.push(turn);
+
+        if (this.pendingTurns.length >= MAX_BATCH_SIZE) {
+            this.flushTurns();
+        } else if (!this.batchTimer) {
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this.batchTimer = setTimeout(() => this.flushTurns(), BATCH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Sends queued turns as one `analyze_content` frame, in conversation order. The client buffers the frame if
+     * the socket is down, so nothing is lost while reconnecting. `relayedTurnCount` is updated once it's sent.
+     */
+    flushTurns() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+
+        if (!this.pendingTurns.length || !this.client) {
+            return;
+        }
+
+        const turns = this.pendingTurns.sort(compareTurns).slice(0, MAX_BATCH_SIZE);
+        this.pendingTurns = this.pendingTurns.slice(turns.length);
+
+        this.client.send({
+            type: FRAME_TYPES.ANALYZE_CONTENT,
+            conversationId: this.recordId,
+            requests: turns.map((turn) => ({
+                participantRole: turn.participantRole,
+                textInput: { text: turn.text, languageCode: LANG },
+                messageSendTime: new Date(turn.timestamp).toISOString()
+            }))
+        });
+
+        if (this.pendingTurns.length) {
+            this.flushTurns();
+        }
+    }
+}
@@ -4,14 +4,34 @@
  *
  * - On load, calls verifySalesforceDomainCSP, which checks if the user's SF domain has been added to a trust policy. If not, it adds it.
  * - On load, calls getCSPs, which returns a list of all existing CSPs.
+ * - On load, calls getConnectorProfiles, which returns every UI Connector profile (see `UiConnectorProfileController`). Each
+ *   profile is a named https/wss pair of Trusted URLs, e.g. one per environment or GCP region. The form adds a profile per
+ *   submit, and the profile picker sets which one the agent-facing components connect to.
+ * - On load, calls getTelephonyProviders, which returns every telephony provider (see `TelephonyProviderRegistry`). Each
+ *   provider that isn't installed yet gets a checkbox and its settings, and the form creates the Trusted URLs and voice
+ *   channel of each one ticked.
+ * - Existing Trusted URLs can be edited in the table (endpoint and active state), which updates them in place via the
+ *   Metadata API. "Replace" creates a new Trusted URL under the same name and retires the old one (renamed `retired_...`
+ *   and deactivated), which is safer when a UI Connector moves, since the old record can be restored.
  *
- * @note There isn't a way to update existing Trusted URLs programmatically as of 2025/12/27, so instead a link is added to the table that
- * directs to each Trusted URL's settings page.
+ * - "Test connection" on a profile tries an https request and a WebSocket handshake against it from the browser (see
+ *   `connectionTester`), and lists each URL's outcome and latency.
+ *
+ * @note The table also links to each Trusted URL's settings page, for settings this form doesn't manage.
  */
 import { LightningElement, wire } from "lwc";
-import createTrustedSite from "@salesforce/apex/CspTrustedSiteCreator.createTrustedSite";
+import updateTrustedSite from "@salesforce/apex/CspTrustedSiteCreator.updateTrustedSite";
+import replaceTrustedSite from "@salesforce/apex/CspTrustedSiteCreator.replaceTrustedSite";
 import getCSPs from "@salesforce/apex/CspTrustedSiteCreator.getCSPs";
 import verifySalesforceDomainCSP from "@salesforce/apex/CspTrustedSiteCreator.verifySalesforceDomainCSP";
+import getTelephonyProviders from "@salesforce/apex/TelephonyProviderRegistry.getTelephonyProviders";
+import installTelephonyProvider from "@salesforce/apex/TelephonyProviderRegistry.installTelephonyProvider";
+import getConnectorProfiles from "@salesforce/apex/UiConnectorProfileController.getConnectorProfiles";
+import createConnectorProfile from "@salesforce/apex/UiConnectorProfileController.createConnectorProfile";
+import setActiveConnectorProfile from "@salesforce/apex/UiConnectorProfileController.setActiveConnectorProfile";
+import LightningPrompt from "lightning/prompt";
+import { testConnection, PROBE_OUTCOMES } from "c/connectionTester";
+import { getErrorMessage } from "c/setupError";
 // @ts-expect-error Legacy toast, but still works. Just doesn't have module typings.
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 // @ts-expect-error This function does exist: https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
@@ -26,32 +46,110 @@ import { refreshApex } from "@salesforce/apex";
  * }[] | undefined} CSPList
  *
  * @typedef {{
- *  value: string,
- *  label: string,
- * }[]} CheckboxGroupOptions
+ *  name: string;
+ *  label: string;
+ *  settings: { name: string; label: string; placeholder: string; pattern: string; }[];
+ *  trustedUrls: { siteName: string; url: string; isInstalled: boolean; }[];
+ *  voiceChannelName: string;
+ *  voiceChannelLabel: string;
+ *  isVoiceChannelInstalled: boolean;
+ *  isInstalled: boolean;
+ * }} TelephonyProvider
+ *
+ * @typedef {{
+ *  name: string;
+ *  httpsSiteName: string;
+ *  httpsUrl: string | null;
+ *  isHttpsActive: boolean;
+ *  wssSiteName: string;
+ *  wssUrl: string | null;
+ *  isWssActive: boolean;
+ *  isActive: boolean;
+ * }} ConnectorProfile
  */
 
 const UI_CONNECTOR = "ui_connector";
 
 const UI_CONNECTOR_WSS = "ui_connector_wss";
 
-const TWILIO_FLEX = "twilio_flex";
+const PROFILE_NAME = "profile_name";
+
+const DEFAULT_PROFILE = "default";
+
+const REPLACE_ACTION = "replace";
 
 const COLS = [
   { label: "Label", fieldName: "developerName" },
-  { label: "URL", fieldName: "endpoint" },
-  { label: "Active", fieldName: "isActive", type: "boolean" },
-  { label: "Settings URL", fieldName: "settingsUrl", type: "url" }
+  { label: "URL", fieldName: "endpoint", editable: true },
+  { label: "Active", fieldName: "isActive", type: "boolean", editable: true },
+  { label: "Settings URL", fieldName: "settingsUrl", type: "url" },
+  { type: "action", typeAttributes: { rowActions: [{ label: "Replace", name: REPLACE_ACTION }] } }
 ];
 
+const TEST_CONNECTION_ACTION = "test_connection";
+
+const PROFILE_COLS = [
+  { label: "Profile", fieldName: "name" },
+  { label: "UI Connector (https)", fieldName: "httpsUrl" },
+  { label: "UI Connector (wss)", fieldName: "wssUrl" },
+  { label: "In Use", fieldName: "isActive", type: "boolean", initialWidth: 90 },
+  { type: "action", typeAttributes: { rowActions: [{ label: "Test connection", name: TEST_CONNECTION_ACTION }] } }
+];
+
+const CONNECTION_TEST_COLS = [
+  { label: "URL", fieldName: "url" },
+  {
+    label: "Result",
+    fieldName: "outcomeLabel",
+    initialWidth: 170,
+    cellAttributes: { iconName: { fieldName: "outcomeIcon" }, class: { fieldName: "outcomeClass" } }
+  },
+  { label: "Latency", fieldName: "latencyLabel", initialWidth: 100 },
+  { label: "Details", fieldName: "message", wrapText: true }
+];
+
+const OUTCOME_LABELS = {
+  [PROBE_OUTCOMES.OK]: "Reachable",
+  [PROBE_OUTCOMES.CSP_VIOLATION]: "CSP violation",
+  [PROBE_OUTCOMES.DNS_ERROR]: "DNS error",
+  [PROBE_OUTCOMES.TLS_ERROR]: "TLS error",
+  [PROBE_OUTCOMES.AUTH_REJECTED]: "Auth rejected",
+  [PROBE_OUTCOMES.HTTP_ERROR]: "HTTP error",
+  [PROBE_OUTCOMES.TIMEOUT]: "Timed out",
+  [PROBE_OUTCOMES.NETWORK_ERROR]: "Network error",
+  [PROBE_OUTCOMES.NOT_CONFIGURED]: "Not configured"
+};
+
 export default class CspTrustedSiteForm extends LightningElement {
   isLoading = false;
 
+  /**
+   * The last failed save, shown (with its remediation, if known) by `c-setup-error`.
+   */
+  error;
+
   datatableColumns = COLS;
 
+  profileColumns = PROFILE_COLS;
+
+  profileName = "";
   uiConnector = "";
   uiConnectorWss = "";
 
+  /**
+   * @type {ConnectorProfile[]}
+   */
+  profiles = [];
+
+  connectionTestColumns = CONNECTION_TEST_COLS;
+
+  /**
+   * The profile last tested with "Test connection", and each URL's result.
+   */
+  testedProfileName = "";
+  connectionTestResults = [];
+  isTestingConnection = false;
+
   /**
    * Trusted URLs where IsActive === false. This is used to trigger a warning status message in the UI.
    */
@@ -60,11 +158,23 @@ export default class CspTrustedSiteForm extends LightningElement {
    * @type {CSPList}
    */
   csps = [];
-  checkboxGroupValue = [];
 
-  isUIConnectorFieldVisible = true;
-  isUIConnectorWSFieldVisible = true;
-  isTwilioFlexFieldVisible = true;
+  /**
+   * @type {TelephonyProvider[]}
+   */
+  telephonyProviders = [];
+
+  /**
+   * Names of the providers ticked for install, and the settings entered for each, keyed by provider name.
+   */
+  selectedProviderNames = [];
+  providerSettings = {};
+
+  /**
+   * Unsaved edits from the Trusted URL table.
+   */
+  draftValues = [];
+
   isDataTableVisible = false;
   isApplyBtnDisabled = false;
 
@@ -75,6 +185,42 @@ export default class CspTrustedSiteForm extends LightningElement {
    */
   __wiredResult;
 
+  __wiredProfilesResult;
+
+  __wiredProvidersResult;
+
+  @wire(getTelephonyProviders)
+  wiredProviders(result) {
+    this.__wiredProvidersResult = result;
+
+    const { data, error } = result;
+
+    if (error) {
+      console.error("Error loading the telephony providers:", error);
+    }
+    if (!Array.isArray(data)) {
+      return;
+    }
+
+    this.telephonyProviders = data;
+  }
+
+  @wire(getConnectorProfiles)
+  wiredProfiles(result) {
+    this.__wiredProfilesResult = result;
+
+    const { data, error } = result;
+
+    if (error) {
+      console.error("Error loading the UI Connector profiles:", error);
+    }
+    if (!Array.isArray(data)) {
+      return;
+    }
+
+    this.profiles = data;
+  }
+
   @wire(getCSPs)
   wiredResources(result) {
     this.__wiredResult = result;
@@ -91,52 +237,90 @@ export default class CspTrustedSiteForm extends LightningElement {
      * @type {CSPList}
      */
     this.csps = data;
-    const initialFields = [];
-    /**
-     * Applies defaults to form fields.
-     */
-    this.csps.forEach((csp) => {
-      if (!csp.IsActive) {
-        this.inactiveTrustedUrlNames.push(csp.DeveloperName);
-      }
-      if (csp.DeveloperName === UI_CONNECTOR) {
-        initialFields.push(UI_CONNECTOR);
-        this.isUIConnectorFieldVisible = false;
-      } else if (csp.DeveloperName === UI_CONNECTOR_WSS) {
-        initialFields.push(UI_CONNECTOR_WSS);
-        this.isUIConnectorWSFieldVisible = false;
-      } else if (csp.DeveloperName === TWILIO_FLEX) {
-        initialFields.push(TWILIO_FLEX);
-        this.isTwilioFlexFieldVisible = false;
-      }
-    });
+
+    this.applyCsps();
+  }
+
+  /**
+   * Applies defaults to form fields from the existing Trusted URLs.
+   */
+  applyCsps() {
+    this.inactiveTrustedUrlNames = this.csps.filter((csp) => !csp.IsActive).map((csp) => csp.DeveloperName);
 
     /**
      * If some Trusted URLs have been created, display DataTable.
      */
-    this.isDataTableVisible = [
-      UI_CONNECTOR_WSS,
-      UI_CONNECTOR,
-      TWILIO_FLEX
-    ].some((field) => initialFields.includes(field));
+    this.isDataTableVisible = this.csps.length > 0;
+  }
 
-    /**
-     * If all Trusted URLs have been created, disable `Apply` button.
-     */
-    this.isApplyBtnDisabled = [
-      UI_CONNECTOR_WSS,
-      UI_CONNECTOR,
-      TWILIO_FLEX
-    ].every((field) => initialFields.includes(field));
+  get hasProfiles() {
+    return this.profiles.length > 0;
   }
 
   /**
-   * Options for the Voice checkbox group.
-   *
-   * @returns {CheckboxGroupOptions}
+   * The first profile is the default one, so the URLs are required until a profile exists. After that they're only
+   * required together, since a profile needs both, and may be left blank to only add telephony providers.
+   */
+  get isUiConnectorRequired() {
+    return !this.hasProfiles || Boolean(this.uiConnector || this.uiConnectorWss);
+  }
+
+  get profileNamePlaceholder() {
+    return this.hasProfiles ? "e.g. staging_us_central1" : DEFAULT_PROFILE;
+  }
+
+  /**
+   * Options for the active profile picker.
+   */
+  get profileOptions() {
+    return this.profiles.map((profile) => ({ value: profile.name, label: profile.name }));
+  }
+
+  get hasConnectionTestResults() {
+    return this.connectionTestResults.length > 0;
+  }
+
+  get connectionTestData() {
+    return this.connectionTestResults.map((result) => ({
+      ...result,
+      url: result.url || `(${result.target})`,
+      outcomeLabel: OUTCOME_LABELS[result.outcome],
+      outcomeIcon: result.ok ? "utility:success" : "utility:error",
+      outcomeClass: result.ok ? "slds-text-color_success" : "slds-text-color_error",
+      latencyLabel: result.latencyMs === null ? "" : `${result.latencyMs} ms`
+    }));
+  }
+
+  get activeProfileName() {
+    const activeProfile = this.profiles.find((profile) => profile.isActive);
+
+    return activeProfile ? activeProfile.name : DEFAULT_PROFILE;
+  }
+
+  /**
+   * Providers that aren't fully installed yet, with the settings of each ticked one.
    */
-  get options() {
-    return [{ value: TWILIO_FLEX, label: "Add Twilio Flex to Trusted URLs" }];
+  get availableProviders() {
+    return this.telephonyProviders
+      .filter((provider) => !provider.isInstalled)
+      .map((provider) => {
+        const values = this.providerSettings[provider.name] || {};
+
+        return {
+          name: provider.name,
+          checkboxLabel: `Add ${provider.label} (${provider.trustedUrls.map((trustedUrl) => trustedUrl.url).join(", ")})`,
+          isSelected: this.selectedProviderNames.includes(provider.name),
+          settings: provider.settings.map((setting) => ({
+            ...setting,
+            key: `${provider.name}.${setting.name}`,
+            value: values[setting.name] || ""
+          }))
+        };
+      });
+  }
+
+  get hasAvailableProviders() {
+    return this.availableProviders.length > 0;
   }
 
   get dataTableData() {
@@ -175,43 +359,74 @@ export default class CspTrustedSiteForm extends LightningElement {
   }
 
   handleUrlChange(event) {
-    if (event.target.name === UI_CONNECTOR) {
+    if (event.target.name === PROFILE_NAME) {
+      this.profileName = event.target.value;
+    } else if (event.target.name === UI_CONNECTOR) {
       this.uiConnector = event.target.value;
     } else if (event.target.name === UI_CONNECTOR_WSS) {
       this.uiConnectorWss = event.target.value;
     }
   }
 
-  handleCheckbox(event) {
-    this.checkboxGroupValue = event.detail.value;
+  handleProviderToggle(event) {
+    const { provider } = event.target.dataset;
+
+    this.selectedProviderNames = event.target.checked
+      ? [...this.selectedProviderNames, provider]
+      : this.selectedProviderNames.filter((name) => name !== provider);
   }
 
-  async onCreateTrustedUrls() {
-    const creators = [];
+  handleProviderSettingChange(event) {
+    const { provider, setting } = event.target.dataset;
 
-    if (this.uiConnector) {
-      creators.push(
-        createTrustedSite({
-          siteUrl: this.uiConnector,
-          siteName: UI_CONNECTOR
-        })
-      );
+    this.providerSettings = {
+      ...this.providerSettings,
+      [provider]: { ...this.providerSettings[provider], [setting]: event.target.value }
+    };
+  }
+
+  /**
+   * Switches the profile the agent-facing components connect to.
+   */
+  async handleActiveProfileChange(event) {
+    this.isLoading = true;
+    this.error = undefined;
+
+    try {
+      await setActiveConnectorProfile({ profileName: event.detail.value });
+
+      await refreshApex(this.__wiredProfilesResult);
+
+      this.showToast("Success", `The ${event.detail.value} UI Connector profile is now in use.`, "success");
+
+      this.dispatchEvent(new CustomEvent("setupchange"));
+    } catch (error) {
+      this.error = error;
+      this.showToast("Error", "Error changing the UI Connector profile: " + getErrorMessage(error), "error");
+      console.error("Error changing the UI Connector profile:", error);
+    } finally {
+      this.isLoading = false;
     }
+  }
 
-    if (this.uiConnectorWss) {
+  async onCreateTrustedUrls() {
+    const creators = [];
+
+    if (this.uiConnector || this.uiConnectorWss) {
       creators.push(
-        createTrustedSite({
-          siteUrl: this.uiConnectorWss,
-          siteName: UI_CONNECTOR_WSS
+        createConnectorProfile({
+          profileName: this.profileName,
+          httpsUrl: this.uiConnector,
+          wssUrl: this.uiConnectorWss
         })
       );
     }
 
-    if (this.checkboxGroupValue.includes(TWILIO_FLEX)) {
+    for (const providerName of this.selectedProviderNames) {
       creators.push(
-        createTrustedSite({
-          siteUrl: "https://flex.twilio.com",
-          siteName: TWILIO_FLEX
+        installTelephonyProvider({
+          providerName,
+          settings: this.providerSettings[providerName] || {}
         })
       );
     }
@@ -241,6 +456,7 @@ export default class CspTrustedSiteForm extends LightningElement {
     }
 
     this.isLoading = true;
+    this.error = undefined;
 
     this.isApplyBtnDisabled = true
 
@@ -249,31 +465,22 @@ export default class CspTrustedSiteForm extends LightningElement {
 
       this.showToast("Success", "Trusted Site created successfully", "success");
 
-      /**
-       * Forces wired apex methods to re-fetch.
-       * 
-       * @see https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
-       */
-      await refreshApex(this.__wiredResult);
+      await this.refreshTrustedUrls();
 
       /**
        * Falsey's the values so that those created on a first form submit aren't carried over if the
        * user decides to create additional Trusted URLs with subsequent form submits.
        */
+      this.profileName = "";
       this.uiConnectorWss = "";
       this.uiConnector = "";
-      this.checkboxGroupValue = [];
+      this.selectedProviderNames = [];
+      this.providerSettings = {};
 
+      this.isApplyBtnDisabled = false
     } catch (error) {
-      let message = "Unknown error";
-
-      if (Array.isArray(error.body)) {
-        message = error.body.map((e) => e.message).join(", ");
-      } else if (typeof error.body.message === "string") {
-        message = error.body.message;
-      }
-
-      this.showToast("Error", "Error creating site: " + message, "error");
+      this.error = error;
+      this.showToast("Error", "Error creating site: " + getErrorMessage(error), "error");
       console.error("Error creating site:", error);
 
       this.isApplyBtnDisabled = false
@@ -282,6 +489,126 @@ export default class CspTrustedSiteForm extends LightningElement {
     }
   }
 
+  /**
+   * Saves inline edits to existing Trusted URLs. Fields that weren't edited keep their current value.
+   *
+   * @param {CustomEvent} event
+   */
+  async handleTableSave(event) {
+    this.isLoading = true;
+    this.error = undefined;
+
+    try {
+      await Promise.all(
+        event.detail.draftValues.map((draft) => {
+          const csp = this.csps.find((item) => item.DeveloperName === draft.developerName);
+
+          return updateTrustedSite({
+            siteName: draft.developerName,
+            siteUrl: draft.endpoint === undefined ? csp.EndpointUrl : draft.endpoint,
+            isActive: draft.isActive === undefined ? csp.IsActive : draft.isActive
+          });
+        })
+      );
+
+      this.draftValues = [];
+
+      this.showToast("Success", "Trusted URLs updated successfully", "success");
+
+      await this.refreshTrustedUrls();
+    } catch (error) {
+      this.error = error;
+      this.showToast("Error", "Error updating site: " + getErrorMessage(error), "error");
+      console.error("Error updating site:", error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Replaces a Trusted URL with one for a new endpoint, retiring the old record.
+   *
+   * @param {CustomEvent} event
+   */
+  async handleRowAction(event) {
+    if (event.detail.action.name !== REPLACE_ACTION) {
+      return;
+    }
+
+    const { developerName, endpoint } = event.detail.row;
+
+    const siteUrl = await LightningPrompt.open({
+      label: `Replace ${developerName}`,
+      message: `Enter the new URL. A new ${developerName} Trusted URL is created for it, and the current one (${endpoint}) is deactivated and renamed so it can be restored.`,
+      defaultValue: endpoint
+    });
+
+    if (!siteUrl || siteUrl === endpoint) {
+      return;
+    }
+
+    this.isLoading = true;
+    this.error = undefined;
+
+    try {
+      const retiredName = await replaceTrustedSite({ siteName: developerName, siteUrl });
+
+      this.showToast("Success", `${developerName} now trusts ${siteUrl}. The previous URL was retired as ${retiredName}.`, "success");
+
+      await this.refreshTrustedUrls();
+    } catch (error) {
+      this.error = error;
+      this.showToast("Error", "Error replacing site: " + getErrorMessage(error), "error");
+      console.error("Error replacing site:", error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Tests a profile's https and wss URLs from the browser.
+   *
+   * @param {CustomEvent} event
+   */
+  async handleProfileRowAction(event) {
+    if (event.detail.action.name !== TEST_CONNECTION_ACTION) {
+      return;
+    }
+
+    /**
+     * @type {ConnectorProfile}
+     */
+    const profile = event.detail.row;
+
+    this.testedProfileName = profile.name;
+    this.connectionTestResults = [];
+    this.isTestingConnection = true;
+
+    try {
+      this.connectionTestResults = await testConnection(profile);
+    } catch (error) {
+      this.showToast("Error", "Error testing the connection: " + getErrorMessage(error), "error");
+      console.error("Error testing the connection:", error);
+    } finally {
+      this.isTestingConnection = false;
+    }
+  }
+
+  /**
+   * Forces wired apex methods to re-fetch, and lets the setup wizard re-check its steps.
+   *
+   * @see https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
+   */
+  async refreshTrustedUrls() {
+    await Promise.all([
+      refreshApex(this.__wiredResult),
+      refreshApex(this.__wiredProfilesResult),
+      refreshApex(this.__wiredProvidersResult)
+    ]);
+
+    this.dispatchEvent(new CustomEvent("setupchange"));
+  }
+
   showToast(title, message, variant) {
     const event = new ShowToastEvent({
       title: title,
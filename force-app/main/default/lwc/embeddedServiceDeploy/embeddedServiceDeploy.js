@@ -1,4 +1,151 @@
 // @ts-check
-import { LightningElement } from "lwc";
+/**
+ * @fileoverview Creates the Enhanced Chat (web) Embedded Service deployment for the GCP Messaging Channel. Here's the
+ * page flow:
+ *
+ * - On load, calls getDeploymentStatus, which reads the deployment, its site and whether the channel is ready.
+ * - If there's no deployment, the admin picks an active site to host it (from getSites) and clicks "Deploy".
+ * - Once deployed, shows the snippet that adds the chat to a website, with a copy button.
+ *
+ * @note Setup requires a deployment to be published before its snippet works, and publishing isn't available in the
+ * Metadata API, so the card links to the deployment's settings.
+ */
+import { LightningElement, wire } from "lwc";
+import getDeploymentStatus from "@salesforce/apex/EmbeddedServiceController.getDeploymentStatus";
+import getSites from "@salesforce/apex/EmbeddedServiceController.getSites";
+import deploy from "@salesforce/apex/EmbeddedServiceController.deploy";
+import { getErrorMessage } from "c/setupError";
+// @ts-expect-error Legacy toast, but still works. Just doesn't have module typings.
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
 
-export default class EmbeddedServiceDeploy extends LightningElement {}
\ No newline at end of file
+/**
+ * @typedef {{
+ *  isDeployed: boolean;
+ *  name: string;
+ *  label: string;
+ *  isChannelReady: boolean;
+ *  messagingChannelName: string | null;
+ *  siteName: string | null;
+ *  siteUrl: string | null;
+ *  isSiteActive: boolean;
+ *  snippet: string | null;
+ *  settingsUrl: string;
+ * }} DeploymentStatus
+ *
+ * @typedef {{
+ *  name: string;
+ *  label: string;
+ *  url: string | null;
+ * }} SiteOption
+ */
+
+export default class EmbeddedServiceDeploy extends LightningElement {
+  isLoading = false;
+
+  error;
+
+  /**
+   * @type {DeploymentStatus | undefined}
+   */
+  status;
+
+  /**
+   * @type {SiteOption[]}
+   */
+  sites = [];
+
+  siteName = "";
+
+  @wire(getSites)
+  wiredSites({ data, error }) {
+    if (error) {
+      console.error("Error loading sites:", error);
+    }
+    if (Array.isArray(data)) {
+      this.sites = data;
+    }
+  }
+
+  get siteOptions() {
+    return this.sites.map((site) => ({
+      value: site.name,
+      label: site.url ? `${site.label} (${site.url})` : site.label
+    }));
+  }
+
+  get hasSites() {
+    return this.sites.length > 0;
+  }
+
+  get isDeployed() {
+    return !!this.status && this.status.isDeployed;
+  }
+
+  get isChannelReady() {
+    return !!this.status && this.status.isChannelReady;
+  }
+
+  get isDeployBtnDisabled() {
+    return this.isLoading || !this.siteName || !this.isChannelReady;
+  }
+
+  get isSiteInactive() {
+    return this.isDeployed && !this.status.isSiteActive;
+  }
+
+  connectedCallback() {
+    this.loadStatus();
+  }
+
+  async loadStatus() {
+    this.isLoading = true;
+
+    try {
+      this.status = await getDeploymentStatus();
+      this.error = undefined;
+    } catch (error) {
+      this.error = error;
+      console.error("Error loading the Embedded Service deployment:", error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleSiteChange(event) {
+    this.siteName = event.detail.value;
+  }
+
+  async handleDeploy() {
+    this.isLoading = true;
+
+    try {
+      await deploy({ siteName: this.siteName });
+
+      this.showToast("Success", "Embedded Service deployment created successfully", "success");
+
+      this.dispatchEvent(new CustomEvent("setupchange"));
+    } catch (error) {
+      this.showToast("Error", "Error creating the deployment: " + getErrorMessage(error), "error");
+      console.error("Error creating the deployment:", error);
+    } finally {
+      this.isLoading = false;
+    }
+
+    await this.loadStatus();
+  }
+
+  async handleCopySnippet() {
+    try {
+      await navigator.clipboard.writeText(this.status.snippet);
+
+      this.showToast("Success", "Snippet copied to the clipboard", "success");
+    } catch (error) {
+      this.showToast("Error", "Unable to copy the snippet. Select it and copy it manually.", "error");
+      console.error("Error copying the snippet:", error);
+    }
+  }
+
+  showToast(title, message, variant) {
+    this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+  }
+}
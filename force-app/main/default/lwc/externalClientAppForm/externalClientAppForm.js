@@ -1,15 +1,43 @@
 /**
- * @fileoverview A controller for the External Client App `contactEmail` view.
+ * @fileoverview A controller for the External Client App view. Collects the contact email and OAuth settings (callback
+ * URL, scopes, PKCE and the JWT bearer flow), then creates the app with OAuth enabled via `ExternalClientApp.create`.
+ * Once the app exists, it shows the consumer key, which Salesforce can take a few minutes to generate, loads the app's
+ * current OAuth settings into the form and saves changes to them through the same upsert. That also enables OAuth on an app created before these settings existed.
  */
 
 // @ts-check
 import { LightningElement, wire } from 'lwc';
 import createExternalClientApp from '@salesforce/apex/ExternalClientApp.create';
 import getExistingECA from '@salesforce/apex/ExternalClientApp.getExistingECA';
+import getConsumerKey from '@salesforce/apex/ExternalClientApp.getConsumerKey';
+import getOauthSettings from '@salesforce/apex/ExternalClientApp.getOauthSettings';
 // @ts-expect-error This is an old deprecated implementation.
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 // @ts-expect-error This function does exist: https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
 import { refreshApex } from "@salesforce/apex";
+import { getErrorMessage } from 'c/setupError';
+
+/**
+ * Mirrors `ExternalClientApp.OAUTH_SCOPES`.
+ */
+const SCOPE_OPTIONS = [
+    { value: 'Api', label: 'Manage user data via APIs (api)' },
+    { value: 'RefreshToken', label: 'Perform requests at any time (refresh_token, offline_access)' },
+    { value: 'Web', label: 'Manage user data via Web browsers (web)' },
+    { value: 'OpenID', label: 'Access unique user identifiers (openid)' },
+    { value: 'Full', label: 'Full access (full)' },
+    { value: 'Chatter', label: 'Access Connect REST API resources (chatter_api)' },
+    { value: 'CustomPermissions', label: 'Access custom permissions (custom_permissions)' },
+    { value: 'Lightning', label: 'Access Lightning applications (lightning)' },
+    { value: 'Content', label: 'Access content resources (content)' }
+];
+
+const DEFAULT_SCOPES = ['Api', 'RefreshToken'];
+
+/**
+ * https, or http on localhost for local development. Mirrors `ExternalClientApp.CALLBACK_URL_PATTERN`.
+ */
+const CALLBACK_URL_PATTERN = '^(https://[^\\s\\/:]+|http://localhost)(:[0-9]+)?(\\/\\S*)?$';
 
 export default class ExternalClientAppForm extends LightningElement {
     /**
@@ -39,10 +67,19 @@ export default class ExternalClientAppForm extends LightningElement {
             this.doesExternalAppExist = true;
             this.contactEmail  = eca.ContactEmail;
             this.ecaId = eca.Id
+
+            this.loadConsumerKey();
+            this.loadOauthSettings();
         }
     }
 
     __wiredResult = null;
+
+    /**
+     * The error from the last create or save click, shown by `c-setup-error`.
+     */
+    error;
+
     /**
      * @type {string}
      * 
@@ -64,6 +101,34 @@ export default class ExternalClientAppForm extends LightningElement {
 
     isLoading = false;
 
+    callbackUrl = '';
+    callbackUrlPattern = CALLBACK_URL_PATTERN;
+
+    scopeOptions = SCOPE_OPTIONS;
+    scopes = DEFAULT_SCOPES;
+
+    isPkceRequired = true;
+
+    isJwtBearerEnabled = false;
+
+    /**
+     * The PEM certificate whose private key signs the JWT bearer flow's JWTs.
+     */
+    certificate = '';
+
+    /**
+     * Null until Salesforce has generated it.
+     *
+     * @type {string | null}
+     */
+    consumerKey = null;
+
+    isLoadingConsumerKey = false;
+
+    get submitLabel() {
+        return this.doesExternalAppExist ? 'Save OAuth Settings' : 'Create External Client App';
+    }
+
     /**
      * @description Opens the GCP AA Client App's page in a new tab. The URL requires a truncated Id, hence `slice`.
      */
@@ -83,37 +148,115 @@ export default class ExternalClientAppForm extends LightningElement {
     }
 
 
+    handleCallbackUrlChange(event) {
+        this.callbackUrl = event.target.value;
+    }
+
+    handleScopesChange(event) {
+        this.scopes = event.detail.value;
+    }
+
+    handlePkceChange(event) {
+        this.isPkceRequired = event.target.checked;
+    }
+
+    handleJwtBearerChange(event) {
+        this.isJwtBearerEnabled = event.target.checked;
+    }
+
+    handleCertificateChange(event) {
+        this.certificate = event.target.value;
+    }
+
+    /**
+     * @description Shows each invalid field's error, so the user sees everything to fix at once.
+     *
+     * @returns {boolean} Whether every field is valid.
+     */
+    validateFields() {
+        return [...this.template.querySelectorAll('lightning-input, lightning-checkbox-group, lightning-textarea')]
+            .reduce((isValid, field) => field.reportValidity() && isValid, true);
+    }
+
+    /**
+     * @description Fetches the consumer key. It's only available a few minutes after the app is created, so this can be
+     * re-run from the "Refresh" button.
+     */
+    async loadConsumerKey() {
+        this.isLoadingConsumerKey = true;
+
+        try {
+            this.consumerKey = await getConsumerKey();
+        } catch (error) {
+            console.error('Error loading the consumer key:', error);
+        } finally {
+            this.isLoadingConsumerKey = false;
+        }
+    }
+
     /**
-     * @description A click handler that creates the external client app.
+     * @description Fills the form with the app's saved OAuth settings, so saving doesn't replace them with the
+     * defaults. Keeps the defaults if the app has no OAuth settings yet, i.e. it was created before they existed.
+     */
+    async loadOauthSettings() {
+        try {
+            const oauthSettings = await getOauthSettings();
+
+            if (!oauthSettings || !oauthSettings.callbackUrl) {
+                return;
+            }
+
+            this.callbackUrl = oauthSettings.callbackUrl;
+            this.scopes = oauthSettings.scopes.length > 0 ? oauthSettings.scopes : DEFAULT_SCOPES;
+            this.isPkceRequired = oauthSettings.isPkceRequired;
+            this.isJwtBearerEnabled = oauthSettings.isJwtBearerEnabled;
+            this.certificate = oauthSettings.certificate || '';
+        } catch (error) {
+            console.error('Error loading the OAuth settings:', error);
+        }
+    }
+
+    /**
+     * @description A click handler that creates the external client app, or saves the OAuth settings of the existing one.
      */
     async handleCreate() {
-        if (!this.contactEmail) {
-            this.showToast('Error', 'Please fill in all fields', 'error');
+        if (!this.validateFields()) {
+            this.showToast('Error', 'Please fix the highlighted fields', 'error');
             return;
         }
 
         try {
             this.isLoading = true;
+            this.error = undefined;
 
-            await createExternalClientApp({ contactEmail: this.contactEmail })
+            await createExternalClientApp({
+                contactEmail: this.contactEmail,
+                oauthSettings: {
+                    callbackUrl: this.callbackUrl,
+                    scopes: this.scopes,
+                    isPkceRequired: this.isPkceRequired,
+                    isJwtBearerEnabled: this.isJwtBearerEnabled,
+                    certificate: this.isJwtBearerEnabled ? this.certificate : null
+                }
+            })
 
-            this.showToast('Success', 'External Client App created successfully', 'success');
-            
-            await refreshApex(this.__wiredResult)
-        
-            this.contactEmail = '';
-        } catch(error) {
-                let message = 'Unknown error';
+            if (this.doesExternalAppExist) {
+                this.showToast('Success', 'OAuth settings saved successfully', 'success');
 
-                if (Array.isArray(error.body)) {
-                    message = error.body.map(e => e.message).join(', ');
-                } else if (typeof error.body.message === 'string') {
-                    message = error.body.message;
-                }
+                this.loadConsumerKey();
+            } else {
+                this.showToast('Success', 'External Client App created successfully', 'success');
+
+                await refreshApex(this.__wiredResult)
+            }
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } catch(error) {
+                this.error = error;
 
-                this.showToast('Error', 'Error creating external client app: ' + message, 'error');
+                this.showToast('Error', 'Error saving the external client app: ' + getErrorMessage(error), 'error');
 
-                console.error('Error creating external client app:', error);
+                console.error('Error saving the external client app:', error);
         } finally {
             this.isLoading = false;
         }
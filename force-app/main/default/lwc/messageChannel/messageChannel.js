@@ -3,15 +3,20 @@
 import { LightningElement, wire } from 'lwc';
 import installMessageChannel from '@salesforce/apex/MessageChannelController.install';
 import getAgentAssistMessageChannel from '@salesforce/apex/MessageChannelController.getAgentAssistMessageChannel';
+import configureRouting from '@salesforce/apex/MessageChannelController.configureRouting';
 // @ts-expect-error This function does exist: https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
 import { refreshApex } from "@salesforce/apex";
 
 /**    
  * @typedef {{
  *  name: string;
+ *  developerName: string;
  *  id: string;
  *  routingType: string;
  *  targetQueueId: string;
+ *  targetQueueName: string;
+ *  isRoutedToQueue: boolean;
+ *  isRoutingPending: boolean;
  *  url: string;
  * } | null} MessagingChannelWithUrl
  * 
@@ -20,13 +25,14 @@ import { refreshApex } from "@salesforce/apex";
  *  url: string;
  *  routingType: string;
  *  targetQueueId: string;
+ *  targetQueueName: string;
  *  status: string;
  * }[]} TableData
  */ 
 const TABLE_COLS = [
     { label: 'Resource name', fieldName: 'name' },
-    // { label: 'Routing Type', fieldName: 'routingType' },
-    // { label: 'Queue ID', fieldName: 'targetQueueId' },
+    { label: 'Routing Type', fieldName: 'routingType' },
+    { label: 'Queue', fieldName: 'targetQueueName' },
     { label: 'URL', fieldName: 'url', type: 'url' },
 ]
 
@@ -53,6 +59,16 @@ export default class SetupAssistant extends LightningElement {
 
     channelUrl = ''
 
+    /**
+     * Whether an installed channel isn't routed to the Agent Assist queue, and needs repairing.
+     */
+    needsRoutingRepair = false
+
+    /**
+     * Whether the routing `install` queued hasn't finished yet.
+     */
+    isRoutingPending = false
+
     @wire(getAgentAssistMessageChannel)
     wiredResources(params) {
         this.__wiredResult = params
@@ -74,10 +90,14 @@ export default class SetupAssistant extends LightningElement {
 
         if(!item) {
             this.shouldDisplayInstallBtn = true;
+            this.needsRoutingRepair = false;
+            this.isRoutingPending = false;
             return;
         }
 
         this.channelUrl = item.url
+        this.isRoutingPending = item.isRoutingPending
+        this.needsRoutingRepair = !item.isRoutedToQueue && !item.isRoutingPending
 
         this.tableData = [{
             ...item,
@@ -85,7 +105,7 @@ export default class SetupAssistant extends LightningElement {
         }]
 
         if(errors.length) {
-            this.error = errors.join('\n')
+            this.error = errors[0]
             this.shouldDisplayInstallBtn = false
         } else {
             this.error = undefined;
@@ -101,13 +121,45 @@ export default class SetupAssistant extends LightningElement {
 
         try {
 
+            // The routing is configured in the background, once the channel is created.
             await installMessageChannel()
 
             this.isSuccess = true;
 
             await refreshApex(this.__wiredResult)
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } catch(error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleRefresh() {
+        this.isLoading = true;
+
+        try {
+            await refreshApex(this.__wiredResult)
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleRepairRouting() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            await configureRouting()
+
+            await refreshApex(this.__wiredResult)
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
         } catch(error) {
-            this.error = error.body ? error.body.message : error.message;
+            this.error = error;
         } finally {
             this.isLoading = false;
         }
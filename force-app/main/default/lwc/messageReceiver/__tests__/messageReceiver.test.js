@@ -0,0 +1,145 @@
+import { createElement } from 'lwc';
+import MessageReceiver from 'c/messageReceiver';
+import { subscribe } from 'lightning/messageService';
+import { buildEnvelope, MESSAGE_TYPES, PARTICIPANT_ROLES } from 'c/agentAssistPayload';
+import { getMessageNonce, WINDOW_MESSAGE_TYPES } from 'c/trustedOrigins';
+import getCSPs from '@salesforce/apex/CspTrustedSiteCreator.getCSPs';
+
+jest.mock(
+    '@salesforce/apex/CspTrustedSiteCreator.getCSPs',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+
+const RECORD_ID = '0Mw000000000001';
+const CONNECTOR_ORIGIN = 'https://ui-connector.example.com';
+const TRUSTED_URLS = [
+    { Id: '08y000000000001', DeveloperName: 'ui_connector', EndpointUrl: CONNECTOR_ORIGIN, IsActive: true }
+];
+
+function smartReply(conversationId, reply) {
+    return buildEnvelope({
+        type: MESSAGE_TYPES.SMART_REPLY,
+        conversationId,
+        participantRole: PARTICIPANT_ROLES.HUMAN_AGENT,
+        payload: { reply }
+    });
+}
+
+describe('c-message-receiver', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    function createReceiver(recordId) {
+        const element = createElement('c-message-receiver', { is: MessageReceiver });
+        element.recordId = recordId;
+        document.body.appendChild(element);
+        getCSPs.emit(TRUSTED_URLS);
+        return element;
+    }
+
+    /**
+     * Posts `data` to the receiver as a window message from `origin`, returning the sending window.
+     */
+    async function postWindowMessage(data, origin = CONNECTOR_ORIGIN) {
+        const source = { postMessage: jest.fn() };
+        const event = new MessageEvent('message', { data, origin });
+        Object.defineProperty(event, 'source', { value: source });
+        window.dispatchEvent(event);
+        await Promise.resolve();
+        return source;
+    }
+
+    /**
+     * Delivers `envelope` the way the message channel would.
+     */
+    async function publishToChannel(envelope) {
+        const [, , handler] = subscribe.mock.calls[0];
+        handler(envelope);
+        await Promise.resolve();
+    }
+
+    function renderedReplies(element) {
+        return Array.from(element.shadowRoot.querySelectorAll('article.suggestion')).map((card) => card.textContent);
+    }
+
+    it('shows suggestions for the conversation on the record page', async () => {
+        const element = createReceiver(RECORD_ID);
+
+        await publishToChannel(smartReply(RECORD_ID, 'Happy to help!'));
+
+        const replies = renderedReplies(element);
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toContain('Happy to help!');
+    });
+
+    it('drops suggestions for other conversations', async () => {
+        const element = createReceiver(RECORD_ID);
+
+        await publishToChannel(smartReply('0Mw000000000002', 'Meant for another tab'));
+        await publishToChannel(smartReply(RECORD_ID, 'Happy to help!'));
+
+        const replies = renderedReplies(element);
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toContain('Happy to help!');
+    });
+
+    it("answers a Trusted URL's hello with the message nonce", async () => {
+        createReceiver(RECORD_ID);
+
+        const source = await postWindowMessage({ type: WINDOW_MESSAGE_TYPES.HELLO });
+
+        expect(source.postMessage).toHaveBeenCalledWith(
+            { type: WINDOW_MESSAGE_TYPES.NONCE, nonce: getMessageNonce() },
+            CONNECTOR_ORIGIN
+        );
+    });
+
+    it('ignores a hello from an untrusted origin', async () => {
+        createReceiver(RECORD_ID);
+
+        const source = await postWindowMessage({ type: WINDOW_MESSAGE_TYPES.HELLO }, window.location.origin);
+
+        expect(source.postMessage).not.toHaveBeenCalled();
+    });
+
+    it('shows window messages from a Trusted URL that carry the message nonce', async () => {
+        const element = createReceiver(RECORD_ID);
+
+        await postWindowMessage({ envelope: smartReply(RECORD_ID, 'Happy to help!'), nonce: getMessageNonce() });
+
+        expect(renderedReplies(element)).toHaveLength(1);
+    });
+
+    it('drops window messages without the message nonce', async () => {
+        const element = createReceiver(RECORD_ID);
+
+        await postWindowMessage({ envelope: smartReply(RECORD_ID, 'Forged') });
+        await postWindowMessage({ envelope: smartReply(RECORD_ID, 'Forged'), nonce: 'guessed' });
+
+        expect(renderedReplies(element)).toHaveLength(0);
+    });
+
+    it('drops window messages from the page itself unless it is a Trusted URL', async () => {
+        const element = createReceiver(RECORD_ID);
+
+        await postWindowMessage({ envelope: smartReply(RECORD_ID, 'Forged'), nonce: getMessageNonce() }, window.location.origin);
+
+        expect(renderedReplies(element)).toHaveLength(0);
+    });
+
+    it('shows every conversation when not on a record page', async () => {
+        const element = createReceiver(undefined);
+
+        await publishToChannel(smartReply('messageSender-demo', 'Hello from LMS'));
+
+        expect(renderedReplies(element)).toHaveLength(1);
+    });
+});
@@ -1,16 +1,211 @@
-import { LightningElement, wire, track } from 'lwc';
-import { subscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+// @ts-check
+/**
+ * @fileoverview The agent-facing Agent Assist suggestion panel. Here's the flow:
+ *
+ * - On load, subscribes to the `Agent_Assist__c` message channel and to window messages.
+ * - Window messages are only accepted from an active Trusted URL (see `getCSPs`), and only with the message nonce
+ *   handed out by the `c/trustedOrigins` handshake. Until the Trusted URLs load, every window message is dropped.
+ * - Each incoming message is validated against the `agentAssistPayload` contract; malformed messages are dropped.
+ * - On a record page, messages for other conversations are dropped, since the message channel is application-wide and
+ *   every open Messaging Session tab receives every message.
+ * - Valid envelopes are normalized into a card model based on their `type` and prepended to the panel.
+ * - Every card offers "Copy" (clipboard) and "Insert" (conversation composer) actions.
+ *
+ * @note Inserting into the composer uses the Conversation Toolkit API, which only works when this component
+ * is placed on a Messaging Session record page (i.e. `recordId` is populated).
+ */
+import { LightningElement, api, wire } from 'lwc';
+import { subscribe, unsubscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
 import AGENT_ASSIST_CHANNEL from '@salesforce/messageChannel/Agent_Assist__c';
+import { MESSAGE_TYPES, parseEnvelope } from 'c/agentAssistPayload';
+import { buildOriginAllowList, hasMessageNonce, isTrustedOrigin, sendMessageNonce, WINDOW_MESSAGE_TYPES } from 'c/trustedOrigins';
+import getCSPs from '@salesforce/apex/CspTrustedSiteCreator.getCSPs';
+// @ts-expect-error Legacy toast, but still works. Just doesn't have module typings.
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+
+/**
+ * @typedef {{
+ *  key: string;
+ *  type: string;
+ *  title: string;
+ *  body: string;
+ *  uri?: string;
+ *  sources?: { key: string; title: string; uri: string }[];
+ *  confidence?: string;
+ *  insertText: string;
+ *  timestamp: string;
+ * }} SuggestionCard
+ */
+
+/**
+ * Card heading and icon per suggestion type.
+ */
+const CARD_META = {
+    [MESSAGE_TYPES.ARTICLE_SUGGESTION]: { label: 'Article Suggestion', icon: 'standard:article' },
+    [MESSAGE_TYPES.FAQ]: { label: 'FAQ', icon: 'standard:question_feed' },
+    [MESSAGE_TYPES.SMART_REPLY]: { label: 'Smart Reply', icon: 'standard:quick_text' },
+    [MESSAGE_TYPES.SUMMARIZATION]: { label: 'Summary', icon: 'standard:summary' },
+    [MESSAGE_TYPES.KNOWLEDGE_ASSIST]: { label: 'Knowledge Assist', icon: 'standard:knowledge' }
+};
+
+/**
+ * The maximum number of cards kept in the panel. Older cards are dropped first.
+ */
+const MAX_SUGGESTIONS = 25;
+
+let cardCounter = 0;
+
+/**
+ * Formats an Agent Assist confidence score (0..1) as a percentage.
+ *
+ * @param {number | undefined} confidence
+ * @returns {string | undefined}
+ */
+function formatConfidence(confidence) {
+    return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : undefined;
+}
+
+/**
+ * Converts a typed Agent Assist payload into a card model. Returns null for types this panel doesn't render.
+ *
+ * @param {string} type One of `MESSAGE_TYPES`.
+ * @param {Record<string, any>} payload The Agent Assist answer, e.g. an `ArticleAnswer` or `FaqAnswer`.
+ * @param {string} [timestamp]
+ * @returns {SuggestionCard | null}
+ */
+function toSuggestionCard(type, payload, timestamp) {
+    if (!payload || typeof payload !== 'object') {
+        return null;
+    }
+
+    const base = {
+        key: `suggestion-${++cardCounter}`,
+        type,
+        timestamp: timestamp || new Date().toISOString()
+    };
+
+    switch (type) {
+        case MESSAGE_TYPES.ARTICLE_SUGGESTION: {
+            const snippets = Array.isArray(payload.snippets) ? payload.snippets.join(' ') : '';
+            return {
+                ...base,
+                title: payload.title || 'Untitled article',
+                body: snippets,
+                uri: payload.uri,
+                confidence: formatConfidence(payload.confidence),
+                insertText: payload.uri || snippets
+            };
+        }
+        case MESSAGE_TYPES.FAQ:
+            return {
+                ...base,
+                title: payload.question || 'FAQ',
+                body: payload.answer || '',
+                uri: payload.source,
+                confidence: formatConfidence(payload.confidence),
+                insertText: payload.answer || ''
+            };
+        case MESSAGE_TYPES.SMART_REPLY:
+            return {
+                ...base,
+                title: 'Suggested reply',
+                body: payload.reply || '',
+                confidence: formatConfidence(payload.confidence),
+                insertText: payload.reply || ''
+            };
+        case MESSAGE_TYPES.SUMMARIZATION: {
+            const sections = payload.textSections && typeof payload.textSections === 'object'
+                ? Object.entries(payload.textSections).map(([section, text]) => `${section}: ${text}`).join('\n')
+                : '';
+            const text = payload.text || sections;
+            return {
+                ...base,
+                title: 'Conversation summary',
+                body: text,
+                insertText: text
+            };
+        }
+        case MESSAGE_TYPES.KNOWLEDGE_ASSIST: {
+            const answer = payload.suggestedQueryAnswer || {};
+            const snippets = (answer.generativeSource && answer.generativeSource.snippets) || [];
+            return {
+                ...base,
+                title: (payload.suggestedQuery && payload.suggestedQuery.queryText) || 'Knowledge Assist',
+                body: answer.answerText || '',
+                sources: snippets.map((snippet, index) => ({
+                    key: `${base.key}-source-${index}`,
+                    title: snippet.title || snippet.uri,
+                    uri: snippet.uri
+                })),
+                insertText: answer.answerText || ''
+            };
+        }
+        default:
+            return null;
+    }
+}
 
 export default class MessageReceiver extends LightningElement {
-    greeting = 'World';
-    @track messages = [];
+    /**
+     * The Messaging Session Id when placed on a record page. Required for inserting into the composer.
+     */
+    @api recordId;
 
     @wire(MessageContext)
     messageContext;
 
     subscription = null;
 
+    /**
+     * Origins allowed to post window messages. Empty until `getCSPs` resolves, so nothing is accepted before then.
+     *
+     * @type {Set<string>}
+     */
+    allowedOrigins = new Set();
+
+    @wire(getCSPs)
+    wiredTrustedUrls({ data, error }) {
+        if (error) {
+            console.error('Error retrieving Trusted URLs:', error);
+            this.allowedOrigins = new Set();
+        } else if (data) {
+            this.allowedOrigins = buildOriginAllowList(data);
+        }
+    }
+
+    /**
+     * @type {SuggestionCard[]}
+     */
+    suggestions = [];
+
+    get hasSuggestions() {
+        return this.suggestions.length > 0;
+    }
+
+    /**
+     * Cards decorated with per-type flags and headings for the template.
+     */
+    get cards() {
+        return this.suggestions.map((suggestion) => ({
+            ...suggestion,
+            heading: CARD_META[suggestion.type].label,
+            iconName: CARD_META[suggestion.type].icon,
+            isArticle: suggestion.type === MESSAGE_TYPES.ARTICLE_SUGGESTION,
+            isFaq: suggestion.type === MESSAGE_TYPES.FAQ,
+            isSmartReply: suggestion.type === MESSAGE_TYPES.SMART_REPLY,
+            isSummary: suggestion.type === MESSAGE_TYPES.SUMMARIZATION,
+            isKnowledgeAssist: suggestion.type === MESSAGE_TYPES.KNOWLEDGE_ASSIST
+        }));
+    }
+
+    get isClearDisabled() {
+        return !this.hasSuggestions;
+    }
+
+    get isInsertDisabled() {
+        return !this.recordId;
+    }
+
     connectedCallback() {
         this.subscribeToMessageChannel();
         window.addEventListener('message', this.handleWindowMessage);
@@ -18,7 +213,8 @@ export default class MessageReceiver extends LightningElement {
 
     disconnectedCallback() {
         window.removeEventListener('message', this.handleWindowMessage);
-        // Subscription is automatically cleaned up by LWC, but good to know.
+        unsubscribe(this.subscription);
+        this.subscription = null;
     }
 
     subscribeToMessageChannel() {
@@ -33,27 +229,137 @@ export default class MessageReceiver extends LightningElement {
     }
 
     handleLMSMessage(message) {
-        console.log('MessageReceiver LWC received LMS Message:', JSON.stringify(message));
-        this.messages.push({
-            source: 'LMS',
-            message: message.message,
-            timestamp: message.timestamp || new Date().toISOString()
-        });
+        this.addSuggestion(message);
     }
 
+    /**
+     * @param {MessageEvent} event
+     */
     handleWindowMessage = (event) => {
-        // Log all messages as requested
-        console.log('MessageReceiver LWC received Window Message:', event.data);
-        if (event.data && event.data.source === 'messageSender') {
-             this.messages.push({
-                source: 'Window',
-                message: event.data.message,
-                timestamp: event.data.timestamp || new Date().toISOString()
-            });
+        const isHello = Boolean(event.data) && event.data.type === WINDOW_MESSAGE_TYPES.HELLO;
+
+        if (!event.data || (!event.data.envelope && !isHello)) {
+            return;
+        }
+
+        if (!isTrustedOrigin(event, this.allowedOrigins)) {
+            console.warn(`[messageReceiver] Dropped window message from untrusted origin: ${event.origin}`);
+            return;
         }
+
+        if (isHello) {
+            sendMessageNonce(event);
+            return;
+        }
+
+        if (!hasMessageNonce(event)) {
+            console.warn(`[messageReceiver] Dropped window message without the message nonce from: ${event.origin}`);
+            return;
+        }
+
+        this.addSuggestion(event.data.envelope);
+    };
+
+    /**
+     * @param {unknown} message A message expected to match the `agentAssistPayload` envelope.
+     */
+    addSuggestion(message) {
+        const envelope = parseEnvelope(message, 'messageReceiver');
+
+        if (!envelope) {
+            return;
+        }
+
+        if (this.recordId && envelope.conversationId !== this.recordId) {
+            return;
+        }
+
+        const card = toSuggestionCard(envelope.type, envelope.payload, envelope.timestamp);
+
+        if (!card) {
+            return;
+        }
+
+        this.suggestions = [card, ...this.suggestions].slice(0, MAX_SUGGESTIONS);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {SuggestionCard | undefined}
+     */
+    findSuggestion(key) {
+        return this.suggestions.find((suggestion) => suggestion.key === key);
+    }
+
+    /**
+     * @description Copies a card's text to the clipboard.
+     *
+     * @param {Event} event
+     */
+    async handleCopy(event) {
+        const suggestion = this.findSuggestion(/** @type {HTMLElement} */ (event.currentTarget).dataset.key);
+
+        if (!suggestion) {
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(suggestion.insertText);
+            this.showToast('Copied', `${CARD_META[suggestion.type].label} copied to clipboard.`, 'success');
+        } catch (error) {
+            console.error('Error copying suggestion:', error);
+            this.showToast('Error', 'Unable to copy to clipboard.', 'error');
+        }
+    }
+
+    /**
+     * @description Inserts a card's text into the Messaging Session's composer via the Conversation Toolkit API.
+     *
+     * @param {Event} event
+     */
+    async handleInsert(event) {
+        const suggestion = this.findSuggestion(/** @type {HTMLElement} */ (event.currentTarget).dataset.key);
+        const toolkit = this.refs.toolkit;
+
+        if (!suggestion || !toolkit) {
+            return;
+        }
+
+        try {
+            await toolkit.setAgentInput(this.recordId, { text: suggestion.insertText });
+        } catch (error) {
+            console.error('Error inserting suggestion:', error);
+            this.showToast('Error', 'Unable to insert into the conversation composer.', 'error');
+        }
+    }
+
+    /**
+     * @description Removes a single card.
+     *
+     * @param {Event} event
+     */
+    handleDismiss(event) {
+        const key = /** @type {HTMLElement} */ (event.currentTarget).dataset.key;
+        this.suggestions = this.suggestions.filter((suggestion) => suggestion.key !== key);
+    }
+
+    handleClear() {
+        this.suggestions = [];
     }
 
-    changeHandler(event) {
-        this.greeting = event.target.value;
+    /**
+     * @description Shows a toast message.
+     *
+     * @param {string} title
+     * @param {string} message
+     * @param {string} variant
+     */
+    showToast(title, message, variant) {
+        const event = new ShowToastEvent({
+            title: title,
+            message: message,
+            variant: variant
+        });
+        this.dispatchEvent(event);
     }
 }
@@ -1,29 +1,61 @@
-import { LightningElement, wire } from 'lwc';
+import { LightningElement, api, wire } from 'lwc';
 import { publish, MessageContext } from 'lightning/messageService';
 import AGENT_ASSIST_CHANNEL from '@salesforce/messageChannel/Agent_Assist__c';
+import { buildEnvelope, MESSAGE_TYPES, PARTICIPANT_ROLES } from 'c/agentAssistPayload';
+import { getPageOrigin, WINDOW_MESSAGE_TYPES } from 'c/trustedOrigins';
 
 export default class MessageSender extends LightningElement {
+    /**
+     * Used as the envelope's `conversationId` when placed on a Messaging Session record page.
+     */
+    @api recordId;
+
     @wire(MessageContext)
     messageContext;
 
+    get conversationId() {
+        return this.recordId || 'messageSender-demo';
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('message', this.handleMessageNonce);
+    }
+
     handlePostMessage() {
-        // Post a message to the window
-        const payload = {
-            source: 'messageSender',
-            message: 'Hello from window.postMessage',
-            timestamp: new Date().toISOString()
-        };
-        window.postMessage(payload, '*');
-        console.log('messageSender sent window message');
+        // Receivers drop messages from origins that aren't Trusted URLs, or without the page's message nonce, so ask for
+        // the nonce first. This only gets an answer if the org's own origin is a Trusted URL.
+        window.addEventListener('message', this.handleMessageNonce);
+        window.postMessage({ type: WINDOW_MESSAGE_TYPES.HELLO }, getPageOrigin());
     }
 
+    /**
+     * @param {MessageEvent} event
+     */
+    handleMessageNonce = (event) => {
+        if (event.origin !== getPageOrigin() || !event.data || event.data.type !== WINDOW_MESSAGE_TYPES.NONCE) {
+            return;
+        }
+        window.removeEventListener('message', this.handleMessageNonce);
+
+        // Post a message to this page only.
+        const envelope = buildEnvelope({
+            type: MESSAGE_TYPES.SMART_REPLY,
+            conversationId: this.conversationId,
+            participantRole: PARTICIPANT_ROLES.HUMAN_AGENT,
+            payload: { reply: 'Hello from window.postMessage', confidence: 0.9 }
+        });
+        window.postMessage({ source: 'messageSender', envelope, nonce: event.data.nonce }, getPageOrigin());
+        console.log('messageSender sent window message');
+    };
+
     handleLMSMessage() {
-        const payload = {
-            source: 'messageSender',
-            message: 'Hello from LMS',
-            timestamp: new Date().toISOString()
-        };
-        publish(this.messageContext, AGENT_ASSIST_CHANNEL, payload);
+        const envelope = buildEnvelope({
+            type: MESSAGE_TYPES.FAQ,
+            conversationId: this.conversationId,
+            participantRole: PARTICIPANT_ROLES.HUMAN_AGENT,
+            payload: { question: 'Hello from LMS', answer: 'This is a sample FAQ answer.', confidence: 0.8 }
+        });
+        publish(this.messageContext, AGENT_ASSIST_CHANNEL, envelope);
         console.log('messageSender sent LMS message');
     }
 }
@@ -0,0 +1,116 @@
+// @ts-check
+/**
+ * @fileoverview Sets up the Named Credential every setup component calls the Metadata API through (see
+ * `MetadataApiCredentialController`). Here's the page flow:
+ *
+ * - On load, calls getCredentialStatus, which returns whether the Named Credential exists and is authenticated, and every
+ *   Auth Provider in the org.
+ * - The admin picks the Auth Provider the credential signs in with (the packaged "Agent Assist Metadata API" one is
+ *   preselected), and "Provision" creates the External Credential and Named Credential, and grants them access.
+ * - The admin then authenticates the credential's named principal once in Setup, using the Named Credentials link, and
+ *   clicks "Check again".
+ */
+import { LightningElement } from 'lwc';
+import getCredentialStatus from '@salesforce/apex/MetadataApiCredentialController.getCredentialStatus';
+import provisionCredential from '@salesforce/apex/MetadataApiCredentialController.provisionCredential';
+
+/**
+ * @typedef {{
+ *  namedCredentialName: string;
+ *  isProvisioned: boolean;
+ *  isAuthenticationNeeded: boolean;
+ *  setupUrl: string;
+ *  authProviders: { value: string; label: string; }[];
+ *  defaultAuthProviderName: string | null;
+ * }} CredentialStatus
+ */
+
+export default class MetadataApiAccess extends LightningElement {
+    isLoading = false;
+    error;
+
+    /**
+     * @type {CredentialStatus | undefined}
+     */
+    status;
+
+    /**
+     * @type {string | undefined}
+     */
+    authProviderName;
+
+    connectedCallback() {
+        this.loadStatus();
+    }
+
+    get isProvisioned() {
+        return !!this.status && this.status.isProvisioned;
+    }
+
+    get isAuthenticationNeeded() {
+        return !!this.status && this.status.isAuthenticationNeeded;
+    }
+
+    get namedCredentialName() {
+        return this.status ? this.status.namedCredentialName : '';
+    }
+
+    get setupUrl() {
+        return this.status ? this.status.setupUrl : '/lightning/setup/NamedCredential/home';
+    }
+
+    get authProviderOptions() {
+        return this.status ? this.status.authProviders : [];
+    }
+
+    get hasAuthProviders() {
+        return this.authProviderOptions.length > 0;
+    }
+
+    get isProvisionDisabled() {
+        return this.isLoading || !this.authProviderName;
+    }
+
+    async loadStatus() {
+        this.isLoading = true;
+
+        try {
+            this.status = await getCredentialStatus();
+            this.authProviderName = this.authProviderName || this.status.defaultAuthProviderName || undefined;
+        } catch (error) {
+            console.error('Error retrieving Metadata API credential:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleCheckAgain() {
+        this.error = undefined;
+        await this.loadStatus();
+
+        if (this.isProvisioned) {
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        }
+    }
+
+    handleAuthProviderChange(event) {
+        this.authProviderName = event.detail.value;
+    }
+
+    async handleProvision() {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            await provisionCredential({ authProviderName: this.authProviderName });
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+            await this.loadStatus();
+        }
+    }
+}
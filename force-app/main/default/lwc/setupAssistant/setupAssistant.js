@@ -1,10 +1,13 @@
 // @ts-check
 'strict'
 import { LightningElement, track, wire } from 'lwc';
-import deployMetadata from '@salesforce/apex/SetupAssistantController.deployMetadata';
+import getDeploymentSteps from '@salesforce/apex/SetupAssistantController.getDeploymentSteps';
+import runDeploymentStep from '@salesforce/apex/SetupAssistantController.runDeploymentStep';
+import previewDeployment from '@salesforce/apex/SetupAssistantController.previewDeployment';
 import getResourceUrls from '@salesforce/apex/ResourceLinksGenerator.getResourceUrls';
 // @ts-expect-error This function does exist: https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
 import { refreshApex } from "@salesforce/apex";
+import { getErrorMessage } from 'c/setupError';
 
 /**    
  * @typedef {{
@@ -19,6 +22,21 @@ import { refreshApex } from "@salesforce/apex";
  *  name: string;
  *  status: string;
  * }[]} TableData
+ *
+ * @typedef {{
+ *  type: string;
+ *  name: string;
+ *  action: 'create' | 'update' | 'exists' | 'skip';
+ *  detail: string | null;
+ *  payload: string | null;
+ * }} PlannedChange
+ *
+ * @typedef {{
+ *  name: string;
+ *  label: string;
+ *  status: 'pending' | 'running' | 'done' | 'failed';
+ *  error: string | null;
+ * }} DeploymentStep
  */ 
 const TABLE_COLS = [
     { label: 'Resource name', fieldName: 'name' },
@@ -27,6 +45,34 @@ const TABLE_COLS = [
     { label: 'Status', fieldName: 'status' },
 ]
 
+const STEP_TABLE_COLS = [
+    { label: 'Step', fieldName: 'label' },
+    {
+        label: 'Status',
+        fieldName: 'statusLabel',
+        initialWidth: 130,
+        cellAttributes: { iconName: { fieldName: 'statusIcon' } }
+    },
+    { label: 'Error', fieldName: 'error', wrapText: true },
+]
+
+const STEP_STATUSES = {
+    pending: { label: 'Pending', icon: 'utility:clock' },
+    running: { label: 'Running', icon: 'utility:spinner' },
+    done: { label: 'Done', icon: 'utility:success' },
+    failed: { label: 'Failed', icon: 'utility:error' },
+}
+
+/**
+ * Diff-style markers for each planned action.
+ */
+const ACTION_MARKERS = {
+    create: { symbol: '+', label: 'Create', className: 'plan-line plan-line_create' },
+    update: { symbol: '~', label: 'Update', className: 'plan-line plan-line_update' },
+    exists: { symbol: '=', label: 'Already exists', className: 'plan-line plan-line_exists' },
+    skip: { symbol: '-', label: 'Skip', className: 'plan-line plan-line_skip' },
+}
+
 export default class SetupAssistant extends LightningElement {
     @track isLoading = false;
     @track isSuccess = false;
@@ -52,6 +98,37 @@ export default class SetupAssistant extends LightningElement {
      */
     areAllResourcesDeployed = false;
 
+    /**
+     * The dry-run output of `previewDeployment`, if the admin asked for one.
+     *
+     * @type {PlannedChange[] | undefined}
+     */
+    plannedChanges
+
+    /**
+     * Each deployment step and its status, from `getDeploymentSteps`.
+     *
+     * @type {DeploymentStep[]}
+     */
+    @track deploymentSteps = []
+
+    stepTableCols = STEP_TABLE_COLS
+
+    /**
+     * Whether a deployment has been started in this session, which shows the steps table.
+     */
+    hasStartedDeployment = false
+
+    @wire(getDeploymentSteps)
+    wiredSteps({ error, data }) {
+        if (Array.isArray(data)) {
+            this.deploymentSteps = data.map(step => ({ ...step, status: 'pending', error: null }));
+        } else if (error) {
+            console.error(error);
+            this.error = error;
+        }
+    }
+
     @wire(getResourceUrls)
     wiredResources(params) {
         this.__wiredResult = params
@@ -82,21 +159,142 @@ export default class SetupAssistant extends LightningElement {
         return !this.areAllResourcesDeployed;
     }
 
+    get stepTableData() {
+        return this.deploymentSteps.map(step => ({
+            ...step,
+            statusLabel: STEP_STATUSES[step.status].label,
+            statusIcon: STEP_STATUSES[step.status].icon,
+        }));
+    }
+
+    get failedStepIndex() {
+        return this.deploymentSteps.findIndex(step => step.status === 'failed');
+    }
+
+    get hasFailedStep() {
+        return this.failedStepIndex !== -1;
+    }
+
+    get planLines() {
+        return (this.plannedChanges || []).map((change, index) => {
+            const marker = ACTION_MARKERS[change.action] || ACTION_MARKERS.skip;
+
+            return {
+                ...change,
+                key: `${index}`,
+                symbol: marker.symbol,
+                actionLabel: marker.label,
+                className: marker.className,
+            };
+        });
+    }
+
+    /**
+     * The preview as plain text, for change-control records.
+     */
+    get planText() {
+        return this.planLines
+            .map(line => [
+                `${line.symbol} ${line.type} ${line.name} (${line.actionLabel})${line.detail ? ` - ${line.detail}` : ''}`,
+                line.payload,
+            ].filter(Boolean).join('\n'))
+            .join('\n\n');
+    }
+
+    get planSummary() {
+        const count = action => (this.plannedChanges || []).filter(change => change.action === action).length;
+
+        return `${count('create')} to create, ${count('update')} to update, ${count('exists')} already exist, ${count('skip')} skipped.`;
+    }
+
+    async handlePreview() {
+        this.isLoading = true;
+        this.error = null;
+
+        try {
+            this.plannedChanges = await previewDeployment()
+        } catch(error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleCopyPlan() {
+        try {
+            await navigator.clipboard.writeText(this.planText)
+        } catch(error) {
+            console.error('Unable to copy the preview:', error);
+        }
+    }
+
     async handleDeploy() {
+        this.deploymentSteps = this.deploymentSteps.map(step => ({ ...step, status: 'pending', error: null }));
+
+        await this.runStepsFrom(0);
+    }
+
+    async handleRetry() {
+        await this.runStepsFrom(this.failedStepIndex);
+    }
+
+    /**
+     * Runs each deployment step in order (one Apex transaction each), stopping at the first failure so it can be
+     * retried.
+     *
+     * @param {number} startIndex
+     */
+    async runStepsFrom(startIndex) {
         this.isLoading = true;
         this.error = null;
         this.isSuccess = false;
+        this.hasStartedDeployment = true;
+        this.plannedChanges = undefined;
 
-        try {
-            await deployMetadata()
+        await this.deployStepsFrom(startIndex);
 
-            this.isSuccess = true;
+        this.isSuccess = !this.hasFailedStep;
 
+        try {
             await refreshApex(this.__wiredResult)
-        } catch(error) {
-            this.error = error.body ? error.body.message : error.message;
+
+            this.dispatchEvent(new CustomEvent('setupchange'));
         } finally {
             this.isLoading = false;
         }
     }
+
+    /**
+     * Runs the step at `index`, then the next one once it's done. Steps must run in order, since later steps depend on
+     * what earlier ones deploy.
+     *
+     * @param {number} index
+     */
+    async deployStepsFrom(index) {
+        if (index >= this.deploymentSteps.length) {
+            return;
+        }
+
+        this.setStepStatus(index, 'running', null);
+
+        try {
+            await runDeploymentStep({ stepName: this.deploymentSteps[index].name })
+        } catch(error) {
+            this.setStepStatus(index, 'failed', getErrorMessage(error));
+            this.error = error;
+            return;
+        }
+
+        this.setStepStatus(index, 'done', null);
+        await this.deployStepsFrom(index + 1);
+    }
+
+    /**
+     * @param {number} index
+     * @param {DeploymentStep['status']} status
+     * @param {string | null} error
+     */
+    setStepStatus(index, status, error) {
+        this.deploymentSteps = this.deploymentSteps.map((step, i) => (i === index ? { ...step, status, error } : step));
+    }
 }
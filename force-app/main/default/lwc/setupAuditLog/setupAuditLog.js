@@ -0,0 +1,224 @@
+// @ts-check
+/**
+ * @fileoverview The history of every change Agent Assist setup made in the org (see `SetupAudit`), for compliance
+ * reviews. Entries are filtered by action, outcome, date range and a search of the resource or user, then exported as a
+ * CSV file. Selecting an entry shows the payload that was sent and any error.
+ */
+import { LightningElement } from 'lwc';
+import getEntries from '@salesforce/apex/SetupAuditController.getEntries';
+
+/**
+ * @typedef {{
+ *  id: string;
+ *  name: string;
+ *  occurredAt: string;
+ *  userName: string | null;
+ *  action: 'Create' | 'Update' | 'Delete';
+ *  resourceType: string | null;
+ *  resourceName: string | null;
+ *  outcome: 'Success' | 'Failure';
+ *  message: string | null;
+ *  payload: string | null;
+ * }} AuditEntry
+ */
+
+const SEARCH_DELAY_MS = 300;
+
+const ACTION_OPTIONS = [
+    { label: 'All actions', value: '' },
+    { label: 'Create', value: 'Create' },
+    { label: 'Update', value: 'Update' },
+    { label: 'Delete', value: 'Delete' }
+];
+
+const OUTCOME_OPTIONS = [
+    { label: 'All outcomes', value: '' },
+    { label: 'Success', value: 'Success' },
+    { label: 'Failure', value: 'Failure' }
+];
+
+const TABLE_COLS = [
+    {
+        label: 'When',
+        fieldName: 'occurredAt',
+        type: 'date',
+        initialWidth: 180,
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    { label: 'User', fieldName: 'userName' },
+    { label: 'Action', fieldName: 'action', initialWidth: 90 },
+    { label: 'Resource Type', fieldName: 'resourceType' },
+    { label: 'Resource', fieldName: 'resourceName', wrapText: true },
+    { label: 'Outcome', fieldName: 'outcome', initialWidth: 100 },
+    { label: 'Message', fieldName: 'message', wrapText: true }
+];
+
+/**
+ * Every field of an entry, in the order they're exported.
+ */
+const CSV_COLS = [
+    { label: 'Log', fieldName: 'name' },
+    { label: 'When (UTC)', fieldName: 'occurredAt' },
+    { label: 'User', fieldName: 'userName' },
+    { label: 'Action', fieldName: 'action' },
+    { label: 'Resource Type', fieldName: 'resourceType' },
+    { label: 'Resource', fieldName: 'resourceName' },
+    { label: 'Outcome', fieldName: 'outcome' },
+    { label: 'Message', fieldName: 'message' },
+    { label: 'Payload', fieldName: 'payload' }
+];
+
+/**
+ * Quotes a CSV value if it holds a comma, quote or line break, doubling any quotes. A value a spreadsheet would run
+ * as a formula (e.g. a resource name starting with `=`) is prefixed with `'`, so opening the export can't run it.
+ *
+ * @param {unknown} value
+ */
+function toCsvValue(value) {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {AuditEntry[]} entries
+ */
+function toCsv(entries) {
+    const lines = [CSV_COLS.map((col) => toCsvValue(col.label)).join(',')];
+
+    for (const entry of entries) {
+        lines.push(CSV_COLS.map((col) => toCsvValue(entry[col.fieldName])).join(','));
+    }
+
+    return lines.join('\r\n');
+}
+
+export default class SetupAuditLog extends LightningElement {
+    isLoading = false;
+    error;
+
+    action = '';
+    outcome = '';
+    searchTerm = '';
+    startDate = null;
+    endDate = null;
+
+    /**
+     * @type {AuditEntry[]}
+     */
+    entries = [];
+
+    /**
+     * @type {AuditEntry | undefined}
+     */
+    selectedEntry;
+
+    /**
+     * A `data:` URL of the last export, for the download link.
+     * @type {string | undefined}
+     */
+    exportUrl;
+
+    exportFileName;
+
+    actionOptions = ACTION_OPTIONS;
+    outcomeOptions = OUTCOME_OPTIONS;
+    tableCols = TABLE_COLS;
+
+    searchTimer;
+
+    connectedCallback() {
+        this.loadEntries();
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimer);
+    }
+
+    get hasEntries() {
+        return this.entries.length > 0;
+    }
+
+    get entryCount() {
+        return this.entries.length;
+    }
+
+    get isExportDisabled() {
+        return this.isLoading || !this.hasEntries;
+    }
+
+    get selectedRowIds() {
+        return this.selectedEntry ? [this.selectedEntry.id] : [];
+    }
+
+    async loadEntries() {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            this.entries = await getEntries({
+                action: this.action,
+                outcome: this.outcome,
+                searchTerm: this.searchTerm,
+                startDate: this.startDate,
+                endDate: this.endDate
+            });
+            // The filters changed, so an earlier export no longer matches the table.
+            this.exportUrl = undefined;
+            this.selectedEntry = this.entries.find((entry) => this.selectedEntry && entry.id === this.selectedEntry.id);
+        } catch (error) {
+            console.error('Error retrieving the audit log:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleActionChange(event) {
+        this.action = event.detail.value;
+        this.loadEntries();
+    }
+
+    handleOutcomeChange(event) {
+        this.outcome = event.detail.value;
+        this.loadEntries();
+    }
+
+    handleStartDateChange(event) {
+        this.startDate = event.detail.value || null;
+        this.loadEntries();
+    }
+
+    handleEndDateChange(event) {
+        this.endDate = event.detail.value || null;
+        this.loadEntries();
+    }
+
+    handleSearchChange(event) {
+        this.searchTerm = event.detail.value;
+
+        clearTimeout(this.searchTimer);
+        // Wait for a pause in typing, so every keystroke isn't a server call.
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.searchTimer = setTimeout(() => this.loadEntries(), SEARCH_DELAY_MS);
+    }
+
+    handleRowSelection(event) {
+        const [row] = event.detail.selectedRows;
+
+        this.selectedEntry = row;
+    }
+
+    handleRefresh() {
+        this.loadEntries();
+    }
+
+    /**
+     * Builds a CSV file of the entries shown, for the download link.
+     */
+    handleExport() {
+        this.exportFileName = `agent-assist-audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        this.exportUrl = `data:text/csv;charset=utf-8,${encodeURIComponent(toCsv(this.entries))}`;
+    }
+}
@@ -0,0 +1,121 @@
+// @ts-check
+/**
+ * @fileoverview A post-setup health check. Runs `DiagnosticsController.runChecks` on load (and on demand) and lists
+ * each check's pass/warn/fail status with a link to where it can be fixed.
+ */
+import { LightningElement } from 'lwc';
+import runChecks from '@salesforce/apex/DiagnosticsController.runChecks';
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  label: string;
+ *  status: 'pass' | 'warn' | 'fail';
+ *  message: string;
+ *  remediationUrl: string | null;
+ * }} CheckResult
+ */
+
+const STATUS_ICONS = {
+    pass: 'utility:success',
+    warn: 'utility:warning',
+    fail: 'utility:error'
+};
+
+const STATUS_LABELS = {
+    pass: 'Pass',
+    warn: 'Warning',
+    fail: 'Fail'
+};
+
+/**
+ * SLDS text colour utilities, since the datatable's cells can't be styled from this component's stylesheet.
+ */
+const STATUS_CLASSES = {
+    pass: 'slds-text-color_success',
+    warn: 'slds-text-color_default',
+    fail: 'slds-text-color_error'
+};
+
+const TABLE_COLS = [
+    {
+        label: 'Status',
+        fieldName: 'statusLabel',
+        initialWidth: 120,
+        cellAttributes: { iconName: { fieldName: 'statusIcon' }, class: { fieldName: 'statusClass' } }
+    },
+    { label: 'Check', fieldName: 'label' },
+    { label: 'Details', fieldName: 'message', wrapText: true },
+    {
+        label: 'Remediation',
+        fieldName: 'remediationUrl',
+        type: 'url',
+        typeAttributes: { label: 'Open', target: '_blank' }
+    }
+];
+
+export default class SetupDiagnostics extends LightningElement {
+    isLoading = false;
+    error;
+
+    /**
+     * @type {CheckResult[]}
+     */
+    results = [];
+
+    tableCols = TABLE_COLS;
+
+    connectedCallback() {
+        this.handleRunChecks();
+    }
+
+    get tableData() {
+        return this.results.map((result) => ({
+            ...result,
+            statusLabel: STATUS_LABELS[result.status],
+            statusIcon: STATUS_ICONS[result.status],
+            statusClass: STATUS_CLASSES[result.status]
+        }));
+    }
+
+    get hasResults() {
+        return this.results.length > 0;
+    }
+
+    get passCount() {
+        return this.countByStatus('pass');
+    }
+
+    get warnCount() {
+        return this.countByStatus('warn');
+    }
+
+    get failCount() {
+        return this.countByStatus('fail');
+    }
+
+    get isHealthy() {
+        return this.hasResults && this.failCount === 0;
+    }
+
+    /**
+     * @param {CheckResult['status']} status
+     */
+    countByStatus(status) {
+        return this.results.filter((result) => result.status === status).length;
+    }
+
+    async handleRunChecks() {
+        this.isLoading = true;
+        this.error = undefined;
+
+        try {
+            this.results = await runChecks();
+        } catch (error) {
+            console.error('Error running diagnostics:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
@@ -0,0 +1,88 @@
+import { createElement } from 'lwc';
+import SetupError, { parseError, getErrorMessage, getRemediations, REMEDIATIONS } from 'c/setupError';
+
+/**
+ * An Apex error thrown via `SetupError.toAuraException`.
+ */
+function apexError(message, errors) {
+    return { body: { message: JSON.stringify({ message, errors }) } };
+}
+
+describe('c-setup-error', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    describe('parseError', () => {
+        it('reads the errors serialized by SetupError', () => {
+            const errors = [{ code: 'DUPLICATE_VALUE', component: 'ui_connector', field: 'fullName', message: 'Duplicate name' }];
+
+            expect(parseError(apexError('Error creating trusted site: Duplicate name', errors))).toEqual({
+                message: 'Error creating trusted site: Duplicate name',
+                errors
+            });
+        });
+
+        it('keeps plain Apex messages as they are', () => {
+            expect(parseError({ body: { message: 'Unknown deployment step: everything' } })).toEqual({
+                message: 'Unknown deployment step: everything',
+                errors: []
+            });
+            expect(parseError({ body: { message: '{ not json' } }).message).toBe('{ not json');
+        });
+
+        it('joins UI API errors', () => {
+            expect(getErrorMessage({ body: [{ message: 'First' }, { message: 'Second' }] })).toBe('First, Second');
+        });
+
+        it('reads DML page errors with their codes', () => {
+            const parsed = parseError({ body: { pageErrors: [{ statusCode: 'INSUFFICIENT_ACCESS', message: 'No access' }] } });
+
+            expect(parsed.message).toBe('No access');
+            expect(parsed.errors[0].code).toBe('INSUFFICIENT_ACCESS');
+        });
+
+        it('reads browser errors and messages', () => {
+            expect(getErrorMessage(new Error('Failed to fetch'))).toBe('Failed to fetch');
+            expect(getErrorMessage('Something broke')).toBe('Something broke');
+            expect(getErrorMessage(undefined)).toBe('Unknown error');
+        });
+    });
+
+    describe('getRemediations', () => {
+        it('offers each known remediation once', () => {
+            const remediations = getRemediations([
+                { code: 'CREDENTIAL_NOT_CONFIGURED', component: null, field: null, message: 'Named credential not found' },
+                { code: 'CREDENTIAL_NOT_CONFIGURED', component: null, field: null, message: 'Named credential not found' },
+                { code: 'SOMETHING_NEW', component: null, field: null, message: 'Unknown' }
+            ]);
+
+            expect(remediations).toEqual([REMEDIATIONS.CREDENTIAL_NOT_CONFIGURED]);
+        });
+    });
+
+    it('renders each component error and its remediation', async () => {
+        const element = createElement('c-setup-error', { is: SetupError });
+        element.error = apexError('Setup failed: Metadata Deployment Failed: ui_connector: Duplicate name', [
+            { code: 'DUPLICATE_VALUE', component: 'ui_connector', field: null, message: 'Duplicate name' }
+        ]);
+        document.body.appendChild(element);
+
+        await Promise.resolve();
+
+        expect(element.shadowRoot.querySelector('h2').textContent).toBe(
+            'Setup failed: Metadata Deployment Failed: ui_connector: Duplicate name'
+        );
+        expect(element.shadowRoot.querySelector('li').textContent).toBe('ui_connector: Duplicate name [DUPLICATE_VALUE]');
+        expect(element.shadowRoot.querySelector('p').textContent).toContain(REMEDIATIONS.DUPLICATE_VALUE);
+    });
+
+    it('renders nothing without an error', () => {
+        const element = createElement('c-setup-error', { is: SetupError });
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelector('[role="alert"]')).toBeNull();
+    });
+});
@@ -0,0 +1,170 @@
+// @ts-check
+/**
+ * @fileoverview Shows why a setup action failed. Every setup LWC passes the error it caught (from Apex, a wire or the
+ * browser) as `error`, and this renders its message, each Metadata API error, and a remediation for known codes.
+ *
+ * Setup controllers throw errors via `SetupError.toAuraException`, which serializes this into the message:
+ *
+ * {
+ *   message: 'Error creating trusted site: Metadata Deployment Failed: ui_connector: Invalid endpoint',
+ *   errors: [{ code: 'FIELD_INTEGRITY_EXCEPTION', component: 'ui_connector', field: 'endpointUrl', message: 'Invalid endpoint' }]
+ * }
+ *
+ * Other errors (UI API, DML, plain `Error`s) are reduced to their message, so `parseError` and `getErrorMessage` work on
+ * anything caught.
+ */
+import { LightningElement, api } from 'lwc';
+
+/**
+ * @typedef {{
+ *  code: string | null;
+ *  component: string | null;
+ *  field: string | null;
+ *  message: string;
+ * }} MetadataError
+ *
+ * @typedef {{
+ *  message: string;
+ *  errors: MetadataError[];
+ * }} ParsedError
+ */
+
+/**
+ * What the admin can do about each known error code.
+ */
+export const REMEDIATIONS = {
+    CREDENTIAL_NOT_CONFIGURED:
+        'Metadata API access isn\'t set up. Provision it in the "Metadata API Access" card, then try again.',
+    INVALID_SESSION_ID:
+        "The Metadata API rejected the credential's token. Authenticate the Agent Assist Metadata API principal in Setup > Named Credentials > External Credentials, then try again.",
+    INSUFFICIENT_ACCESS:
+        'Your user needs the "Modify Metadata Through Metadata API Functions" or "Modify All Data" permission.',
+    INSUFFICIENT_ACCESS_OR_READONLY:
+        'Your user needs the "Modify Metadata Through Metadata API Functions" or "Modify All Data" permission.',
+    DUPLICATE_VALUE:
+        'A component with this name already exists. Rename or delete it in Setup, or change the resource name in the Agent Assist settings.',
+    DUPLICATE_DEVELOPER_NAME:
+        'A component with this name already exists. Rename or delete it in Setup, or change the resource name in the Agent Assist settings.',
+    REQUEST_LIMIT_EXCEEDED: "The org's API request limit was reached. Wait a few minutes and try again."
+};
+
+/**
+ * Reads the setup error out of anything caught.
+ *
+ * @param {any} error
+ * @returns {ParsedError}
+ */
+export function parseError(error) {
+    if (!error) {
+        return { message: 'Unknown error', errors: [] };
+    }
+    if (typeof error === 'string') {
+        return parseMessage(error);
+    }
+
+    const { body } = error;
+
+    if (Array.isArray(body)) {
+        return { message: body.map((item) => item.message).join(', '), errors: [] };
+    }
+    if (body && typeof body.message === 'string') {
+        return parseMessage(body.message);
+    }
+    if (body && Array.isArray(body.pageErrors) && body.pageErrors.length) {
+        return {
+            message: body.pageErrors.map((pageError) => pageError.message).join(', '),
+            errors: body.pageErrors.map((pageError) => ({
+                code: pageError.statusCode || null,
+                component: null,
+                field: null,
+                message: pageError.message
+            }))
+        };
+    }
+
+    return { message: error.message || 'Unknown error', errors: [] };
+}
+
+/**
+ * The message of anything caught, for toasts and table cells.
+ *
+ * @param {any} error
+ */
+export function getErrorMessage(error) {
+    return parseError(error).message;
+}
+
+/**
+ * The remediation of each known code in `errors`, without repeats.
+ *
+ * @param {MetadataError[]} errors
+ * @returns {string[]}
+ */
+export function getRemediations(errors) {
+    const remediations = errors.map((error) => REMEDIATIONS[error.code]).filter(Boolean);
+
+    return [...new Set(remediations)];
+}
+
+/**
+ * Parses a message serialized by `SetupError`, or wraps a plain one.
+ *
+ * @param {string} message
+ * @returns {ParsedError}
+ */
+function parseMessage(message) {
+    if (message.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(message);
+
+            if (typeof parsed.message === 'string') {
+                return { message: parsed.message, errors: Array.isArray(parsed.errors) ? parsed.errors : [] };
+            }
+        } catch {
+            // Not a SetupError, just a message that starts with a brace.
+        }
+    }
+
+    return { message, errors: [] };
+}
+
+export default class SetupError extends LightningElement {
+    /**
+     * Anything caught: an Apex, wire or browser error, or a message.
+     */
+    @api error;
+
+    get parsed() {
+        return parseError(this.error);
+    }
+
+    get message() {
+        return this.parsed.message;
+    }
+
+    /**
+     * One line per component error, e.g. "ui_connector (endpointUrl): Invalid endpoint [FIELD_INTEGRITY_EXCEPTION]".
+     * A lone error without a component or code just repeats the message, so it isn't listed.
+     */
+    get details() {
+        return this.parsed.errors
+            .filter((error) => error.component || error.field || error.code)
+            .map((error, index) => {
+                const field = error.field ? ` (${error.field})` : '';
+                const code = error.code ? ` [${error.code}]` : '';
+
+                return {
+                    key: `${index}`,
+                    label: `${error.component || 'Request'}${field}: ${error.message}${code}`
+                };
+            });
+    }
+
+    get hasDetails() {
+        return this.details.length > 0;
+    }
+
+    get remediations() {
+        return getRemediations(this.parsed.errors);
+    }
+}
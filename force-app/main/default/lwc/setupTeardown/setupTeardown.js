@@ -0,0 +1,95 @@
+// @ts-check
+/**
+ * @fileoverview Removes everything the setup components deployed. Shows a preview of what will be deleted (from
+ * `TeardownController.getTeardownPlan`) and asks for confirmation before deleting anything.
+ */
+import { LightningElement } from 'lwc';
+import LightningConfirm from 'lightning/confirm';
+import getTeardownPlan from '@salesforce/apex/TeardownController.getTeardownPlan';
+import removeRecords from '@salesforce/apex/TeardownController.removeRecords';
+import removeMetadata from '@salesforce/apex/TeardownController.removeMetadata';
+
+/**
+ * @typedef {{
+ *  type: string;
+ *  name: string;
+ *  phase: 'records' | 'metadata';
+ * }} TeardownItem
+ */
+
+const TABLE_COLS = [
+    { label: 'Type', fieldName: 'type' },
+    { label: 'Name', fieldName: 'name' }
+];
+
+export default class SetupTeardown extends LightningElement {
+    isLoading = false;
+    isSuccess = false;
+    error;
+
+    /**
+     * @type {TeardownItem[]}
+     */
+    plan = [];
+
+    tableCols = TABLE_COLS;
+
+    connectedCallback() {
+        this.loadPlan();
+    }
+
+    get tableData() {
+        return this.plan.map((item, index) => ({ ...item, key: `${index}-${item.type}-${item.name}` }));
+    }
+
+    get hasPlan() {
+        return this.plan.length > 0;
+    }
+
+    get isTeardownDisabled() {
+        return this.isLoading || !this.hasPlan;
+    }
+
+    async loadPlan() {
+        this.isLoading = true;
+
+        try {
+            this.plan = await getTeardownPlan();
+        } catch (error) {
+            console.error('Error retrieving teardown plan:', error);
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    async handleTeardown() {
+        const isConfirmed = await LightningConfirm.open({
+            label: 'Remove Agent Assist setup?',
+            message: `This permanently deletes the ${this.plan.length} items listed, including the queue, Messaging Channel, Trusted URLs and External Client App.`,
+            theme: 'error'
+        });
+
+        if (!isConfirmed) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.isSuccess = false;
+        this.error = undefined;
+
+        try {
+            // Separate calls, since the metadata callouts can't follow the record DML in one transaction.
+            await removeRecords();
+            await removeMetadata();
+
+            this.isSuccess = true;
+            this.dispatchEvent(new CustomEvent('setupchange'));
+        } catch (error) {
+            this.error = error;
+        } finally {
+            this.isLoading = false;
+            await this.loadPlan();
+        }
+    }
+}
@@ -0,0 +1,222 @@
+// @ts-check
+/**
+ * @fileoverview The Agent Assist setup wizard. Wraps each setup card as a step. Here's the page flow:
+ *
+ * - On load, calls getSetupState, which returns whether each step is deployed and the step the admin last had open.
+ * - Opens the saved step if its dependencies are complete, otherwise the first incomplete step that's unlocked.
+ * - A step is locked until every step in its `dependsOn` is complete.
+ * - Child cards dispatch `setupchange` after they deploy something, which re-fetches the setup state.
+ */
+import { LightningElement, wire } from 'lwc';
+import getSetupState from '@salesforce/apex/SetupWizardController.getSetupState';
+import saveCurrentStep from '@salesforce/apex/SetupWizardController.saveCurrentStep';
+// @ts-expect-error This function does exist: https://developer.salesforce.com/docs/platform/lwc/guide/apex-result-caching.html
+import { refreshApex } from '@salesforce/apex';
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  label: string;
+ *  dependsOn: string[];
+ * }} WizardStep
+ *
+ * @typedef {{
+ *  completedSteps: Record<string, boolean>;
+ *  currentStep: string | null;
+ * }} SetupState
+ */
+
+/**
+ * Wizard steps in display order. `name` matches the child component and the step names in `SetupWizardController`.
+ *
+ * @type {WizardStep[]}
+ */
+const STEPS = [
+    { name: 'metadataApiAccess', label: 'Metadata API Access', dependsOn: [] },
+    { name: 'setupAssistant', label: 'Routing & Permissions', dependsOn: ['metadataApiAccess'] },
+    { name: 'messageChannel', label: 'Messaging Channel', dependsOn: ['setupAssistant'] },
+    { name: 'cspTrustedSiteForm', label: 'Trusted URLs', dependsOn: ['metadataApiAccess'] },
+    { name: 'externalClientAppForm', label: 'External Client App', dependsOn: ['cspTrustedSiteForm'] },
+    { name: 'embeddedServiceDeploy', label: 'Embedded Service', dependsOn: ['messageChannel'] }
+];
+
+export default class SetupWizard extends LightningElement {
+    /**
+     * @type {Record<string, boolean>}
+     */
+    completedSteps = {};
+
+    /**
+     * @type {string | undefined}
+     */
+    currentStep;
+
+    error;
+
+    isLoading = true;
+
+    __wiredResult;
+
+    @wire(getSetupState)
+    wiredState(result) {
+        this.__wiredResult = result;
+
+        const { data, error } = result;
+
+        if (error) {
+            console.error('Error retrieving setup state:', error);
+            this.error = error;
+            this.isLoading = false;
+            return;
+        }
+        if (!data) {
+            return;
+        }
+
+        /**
+         * @type {SetupState}
+         */
+        const state = data;
+
+        this.error = undefined;
+        this.completedSteps = { ...state.completedSteps };
+        this.isLoading = false;
+
+        if (!this.currentStep) {
+            this.currentStep = this.getResumeStep(state.currentStep);
+        }
+    }
+
+    /**
+     * @param {string | null} savedStep
+     * @returns {string}
+     */
+    getResumeStep(savedStep) {
+        if (savedStep && this.isUnlocked(savedStep)) {
+            return savedStep;
+        }
+
+        const nextStep = STEPS.find((step) => !this.completedSteps[step.name] && this.isUnlocked(step.name));
+
+        return nextStep ? nextStep.name : STEPS[STEPS.length - 1].name;
+    }
+
+    /**
+     * @param {string} stepName
+     * @returns {WizardStep}
+     */
+    getStep(stepName) {
+        return STEPS.find((step) => step.name === stepName) || STEPS[0];
+    }
+
+    /**
+     * @param {string} stepName
+     * @returns {string[]} Labels of dependencies that aren't complete yet.
+     */
+    getMissingDependencies(stepName) {
+        return this.getStep(stepName)
+            .dependsOn.filter((dependency) => !this.completedSteps[dependency])
+            .map((dependency) => this.getStep(dependency).label);
+    }
+
+    /**
+     * @param {string} stepName
+     */
+    isUnlocked(stepName) {
+        return this.getMissingDependencies(stepName).length === 0;
+    }
+
+    get steps() {
+        return STEPS.map((step, index) => ({
+            ...step,
+            number: index + 1,
+            isComplete: !!this.completedSteps[step.name],
+            isLocked: !this.isUnlocked(step.name)
+        }));
+    }
+
+    get completedCount() {
+        return STEPS.filter((step) => this.completedSteps[step.name]).length;
+    }
+
+    get totalCount() {
+        return STEPS.length;
+    }
+
+    get progressPercent() {
+        return Math.round((this.completedCount / STEPS.length) * 100);
+    }
+
+    get activeStep() {
+        return this.getStep(this.currentStep);
+    }
+
+    get isActiveStepLocked() {
+        return !this.isUnlocked(this.activeStep.name);
+    }
+
+    get missingDependencies() {
+        return this.getMissingDependencies(this.activeStep.name).join(', ');
+    }
+
+    get isMetadataApiAccess() {
+        return this.activeStep.name === 'metadataApiAccess';
+    }
+
+    get isSetupAssistant() {
+        return this.activeStep.name === 'setupAssistant';
+    }
+
+    get isMessageChannel() {
+        return this.activeStep.name === 'messageChannel';
+    }
+
+    get isTrustedUrls() {
+        return this.activeStep.name === 'cspTrustedSiteForm';
+    }
+
+    get isExternalClientApp() {
+        return this.activeStep.name === 'externalClientAppForm';
+    }
+
+    get isEmbeddedService() {
+        return this.activeStep.name === 'embeddedServiceDeploy';
+    }
+
+    get isPreviousDisabled() {
+        return STEPS.indexOf(this.activeStep) === 0;
+    }
+
+    get isNextDisabled() {
+        const index = STEPS.indexOf(this.activeStep);
+
+        return index === STEPS.length - 1 || !this.isUnlocked(STEPS[index + 1].name);
+    }
+
+    /**
+     * @param {string} stepName
+     */
+    goToStep(stepName) {
+        this.currentStep = stepName;
+
+        saveCurrentStep({ stepName }).catch((error) => {
+            console.error('Error saving setup progress:', error);
+        });
+    }
+
+    handleStepClick(event) {
+        this.goToStep(event.currentTarget.dataset.step);
+    }
+
+    handlePrevious() {
+        this.goToStep(STEPS[STEPS.indexOf(this.activeStep) - 1].name);
+    }
+
+    handleNext() {
+        this.goToStep(STEPS[STEPS.indexOf(this.activeStep) + 1].name);
+    }
+
+    async handleSetupChange() {
+        await refreshApex(this.__wiredResult);
+    }
+}
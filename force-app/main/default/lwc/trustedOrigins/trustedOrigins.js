@@ -0,0 +1,133 @@
+// @ts-check
+/**
+ * @fileoverview Helpers for allow-listing `window.postMessage` traffic against the org's Trusted URLs
+ * (the records returned by `CspTrustedSiteCreator.getCSPs`), and for authenticating it. Here's the flow:
+ *
+ * - Receivers build an allow-list with `buildOriginAllowList` and drop any event that fails `isTrustedOrigin`.
+ * - A sender posts a `WINDOW_MESSAGE_TYPES.HELLO` message first. The receiver answers with the page's message nonce
+ *   (`getMessageNonce`), posted to the sender's window and origin only, so no other frame can read it.
+ * - The sender adds the nonce to every message it posts, and receivers drop messages without it (see `hasMessageNonce`).
+ * - Senders pass an explicit target origin (see `getPageOrigin`) instead of `'*'`.
+ */
+
+/**
+ * The `type` of the handshake messages that hand a sender the message nonce.
+ */
+export const WINDOW_MESSAGE_TYPES = Object.freeze({
+    HELLO: 'agent_assist_hello',
+    NONCE: 'agent_assist_nonce'
+});
+
+/**
+ * @type {string | null}
+ */
+let messageNonce = null;
+
+/**
+ * @typedef {{
+ *  Id: string;
+ *  DeveloperName: string;
+ *  EndpointUrl: string;
+ *  IsActive: boolean;
+ * }} TrustedUrl
+ */
+
+/**
+ * Converts a Trusted URL endpoint into the origin a browser reports in `MessageEvent.origin`. Frames are always
+ * served over http(s), so a `wss://` endpoint maps to the `https://` origin of the same host.
+ *
+ * @param {string} url
+ * @returns {string | null} The origin, or null if the URL can't be parsed.
+ */
+export function toOrigin(url) {
+    if (typeof url !== 'string' || !url) {
+        return null;
+    }
+
+    try {
+        const parsed = new URL(url.replace(/^wss:/i, 'https:').replace(/^ws:/i, 'http:'));
+
+        return parsed.origin === 'null' ? null : parsed.origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The origin of the page the component is running in. Used as the target origin for same-page `postMessage` calls.
+ *
+ * @returns {string}
+ */
+export function getPageOrigin() {
+    return window.location.origin;
+}
+
+/**
+ * Builds the set of origins allowed to post messages to the page: every active Trusted URL. The page's own origin is
+ * only allowed if it's a Trusted URL too.
+ *
+ * @param {TrustedUrl[] | undefined} trustedUrls
+ * @returns {Set<string>}
+ */
+export function buildOriginAllowList(trustedUrls) {
+    const origins = new Set();
+
+    (trustedUrls || [])
+        .filter((trustedUrl) => trustedUrl.IsActive)
+        .forEach((trustedUrl) => {
+            const origin = toOrigin(trustedUrl.EndpointUrl);
+
+            if (origin) {
+                origins.add(origin);
+            }
+        });
+
+    return origins;
+}
+
+/**
+ * @param {MessageEvent} event
+ * @param {Set<string>} allowList
+ * @returns {boolean}
+ */
+export function isTrustedOrigin(event, allowList) {
+    return typeof event.origin === 'string' && allowList.has(event.origin);
+}
+
+/**
+ * The random nonce senders must add to their messages. It's shared by every receiver on the page, so a sender only
+ * needs one handshake however many receivers answer it.
+ *
+ * @returns {string}
+ */
+export function getMessageNonce() {
+    if (!messageNonce) {
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        messageNonce = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    return messageNonce;
+}
+
+/**
+ * Answers a sender's `WINDOW_MESSAGE_TYPES.HELLO` with the message nonce. Only call this for events that pass
+ * `isTrustedOrigin`.
+ *
+ * @param {MessageEvent} event
+ */
+export function sendMessageNonce(event) {
+    if (!event.source) {
+        return;
+    }
+
+    /** @type {Window} */ (event.source).postMessage({ type: WINDOW_MESSAGE_TYPES.NONCE, nonce: getMessageNonce() }, event.origin);
+}
+
+/**
+ * @param {MessageEvent} event
+ * @returns {boolean} Whether the message carries the page's message nonce.
+ */
+export function hasMessageNonce(event) {
+    return Boolean(event.data) && event.data.nonce === getMessageNonce();
+}
@@ -0,0 +1,272 @@
+import UiConnectorClient, { CONNECTION_STATUS, FRAME_TYPES } from 'c/uiConnectorClient';
+import { publish } from 'lightning/messageService';
+import MockWebSocketServer from '../../../../../test/jest-mocks/mockWebSocketServer';
+
+const URL = 'wss://ui-connector.example.com';
+
+const SUGGESTION_FRAME = {
+    type: FRAME_TYPES.SUGGESTION,
+    conversationId: '0Mw000000000001',
+    data: {
+        humanAgentSuggestionResults: [
+            { suggestSmartRepliesResponse: { smartReplyAnswers: [{ reply: 'Happy to help!', confidence: 0.8 }] } },
+            { suggestFaqAnswersResponse: { faqAnswers: [{ question: 'Refunds?', answer: 'Within 30 days.' }] } }
+        ]
+    }
+};
+
+/**
+ * Lets pending promise callbacks (socket open, `getAuthToken`) run.
+ */
+async function flushPromises() {
+    for (let tick = 0; tick < 10; tick++) {
+        // eslint-disable-next-line no-await-in-loop
+        await Promise.resolve();
+    }
+}
+
+/**
+ * Advances fake timers by `ms`, flushing promises in between so async handshakes complete.
+ */
+async function advance(ms) {
+    await flushPromises();
+    jest.advanceTimersByTime(ms);
+    await flushPromises();
+}
+
+describe('c-ui-connector-client', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        server = new MockWebSocketServer(URL);
+        server.onMessage((connection, frame) => {
+            if (frame.type === FRAME_TYPES.AUTH) {
+                connection.send({ type: frame.token === 'valid-token' ? FRAME_TYPES.AUTH_OK : FRAME_TYPES.AUTH_ERROR });
+            } else if (frame.type === FRAME_TYPES.PING) {
+                connection.send({ type: FRAME_TYPES.PONG });
+            }
+        });
+    });
+
+    afterEach(() => {
+        if (client) {
+            client.disconnect();
+        }
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    function createClient(options = {}) {
+        client = new UiConnectorClient({
+            url: URL,
+            getAuthToken: jest.fn().mockResolvedValue('valid-token'),
+            WebSocketImpl: server.WebSocket,
+            messageContext: {},
+            heartbeatIntervalMs: 1000,
+            heartbeatTimeoutMs: 500,
+            initialBackoffMs: 100,
+            maxBackoffMs: 800,
+            ...options
+        });
+        return client;
+    }
+
+    it('requires a url and a getAuthToken function', () => {
+        expect(() => new UiConnectorClient({ getAuthToken: jest.fn() })).toThrow();
+        expect(() => new UiConnectorClient({ url: URL })).toThrow();
+    });
+
+    it('authenticates with a token before reporting connected', async () => {
+        const onStatusChange = jest.fn();
+        createClient({ onStatusChange }).connect();
+
+        await advance(0);
+
+        expect(client.options.getAuthToken).toHaveBeenCalledTimes(1);
+        expect(server.receivedOfType(FRAME_TYPES.AUTH)).toEqual([{ type: FRAME_TYPES.AUTH, token: 'valid-token' }]);
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+        expect(onStatusChange.mock.calls.map(([status]) => status)).toEqual([
+            CONNECTION_STATUS.CONNECTING,
+            CONNECTION_STATUS.AUTHENTICATING,
+            CONNECTION_STATUS.CONNECTED
+        ]);
+    });
+
+    it('buffers outbound messages until authenticated, then flushes them in order', async () => {
+        createClient();
+        client.send({ type: 'analyze_content', turn: 1 });
+        client.send({ type: 'analyze_content', turn: 2 });
+        client.connect();
+
+        expect(server.received).toEqual([]);
+
+        await advance(0);
+
+        expect(server.receivedOfType('analyze_content').map((frame) => frame.turn)).toEqual([1, 2]);
+        expect(client.buffer).toEqual([]);
+    });
+
+    it('drops the oldest buffered messages past maxBufferSize', () => {
+        createClient({ maxBufferSize: 2 });
+        client.send({ turn: 1 });
+        client.send({ turn: 2 });
+        client.send({ turn: 3 });
+
+        expect(client.buffer.map((message) => message.turn)).toEqual([2, 3]);
+    });
+
+    it('sends heartbeats and stays connected while pongs arrive', async () => {
+        createClient().connect();
+        await advance(0);
+
+        await advance(3000);
+
+        expect(server.receivedOfType(FRAME_TYPES.PING)).toHaveLength(3);
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+        expect(server.connections).toHaveLength(1);
+    });
+
+    it('reconnects when a heartbeat goes unanswered', async () => {
+        server.messageHandlers = [];
+        server.onMessage((connection, frame) => {
+            if (frame.type === FRAME_TYPES.AUTH) {
+                connection.send({ type: FRAME_TYPES.AUTH_OK });
+            }
+        });
+        createClient().connect();
+        await advance(0);
+        const firstSocket = client.socket;
+
+        await advance(1000 + 500);
+
+        expect(client.status).toBe(CONNECTION_STATUS.RECONNECTING);
+
+        await advance(100);
+
+        expect(client.socket).not.toBe(firstSocket);
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+    });
+
+    it('reconnects with exponential backoff after the connection drops', async () => {
+        createClient().connect();
+        await advance(0);
+
+        server.refuseConnections();
+        server.dropAll();
+
+        for (const delay of [100, 200, 400, 800, 800]) {
+            // eslint-disable-next-line no-await-in-loop
+            await advance(delay);
+        }
+
+        const [, ...reconnectTimes] = server.connectionAttempts;
+        const delays = reconnectTimes.map((time, index) => time - server.connectionAttempts[index]);
+
+        expect(delays).toEqual([100, 200, 400, 800, 800]);
+        expect(client.status).toBe(CONNECTION_STATUS.RECONNECTING);
+
+        server.refuseConnections(false);
+        await advance(client.getBackoffDelay());
+
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+        expect(client.reconnectAttempts).toBe(0);
+        expect(server.receivedOfType(FRAME_TYPES.AUTH)).toHaveLength(2);
+    });
+
+    it('reconnects once when connect is called while waiting to reconnect', async () => {
+        createClient().connect();
+        await advance(0);
+
+        server.dropAll();
+        expect(client.status).toBe(CONNECTION_STATUS.RECONNECTING);
+
+        client.connect();
+        await advance(1000);
+
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+        expect(client.reconnectAttempts).toBe(0);
+        expect(server.connectionAttempts).toHaveLength(2);
+        expect(server.connections).toHaveLength(1);
+    });
+
+    it('buffers messages sent while reconnecting and delivers them after the handshake', async () => {
+        createClient().connect();
+        await advance(0);
+
+        server.dropAll();
+        client.send({ type: 'analyze_content', turn: 'offline' });
+
+        expect(server.receivedOfType('analyze_content')).toEqual([]);
+
+        await advance(100);
+
+        expect(server.receivedOfType('analyze_content')).toEqual([{ type: 'analyze_content', turn: 'offline' }]);
+    });
+
+    it('stops reconnecting and reports the error when authentication is rejected', async () => {
+        const getAuthToken = jest.fn().mockResolvedValue('expired-token');
+        const onStatusChange = jest.fn();
+        createClient({ getAuthToken, onStatusChange }).connect();
+        client.send({ type: 'analyze_content', turn: 1 });
+
+        await advance(0);
+
+        expect(client.status).toBe(CONNECTION_STATUS.UNAUTHORIZED);
+        expect(client.authError).toBe('The UI Connector rejected the auth token.');
+        expect(onStatusChange).toHaveBeenLastCalledWith(CONNECTION_STATUS.UNAUTHORIZED);
+
+        await advance(10000);
+
+        expect(getAuthToken).toHaveBeenCalledTimes(1);
+        expect(server.connectionAttempts).toHaveLength(1);
+        expect(client.status).toBe(CONNECTION_STATUS.UNAUTHORIZED);
+        expect(client.buffer).toEqual([{ type: 'analyze_content', turn: 1 }]);
+    });
+
+    it('reconnects with a new token when connect is called after authentication is rejected', async () => {
+        const getAuthToken = jest.fn().mockResolvedValueOnce('expired-token').mockResolvedValue('valid-token');
+        createClient({ getAuthToken }).connect();
+        await advance(0);
+
+        client.connect();
+        await advance(0);
+
+        expect(getAuthToken).toHaveBeenCalledTimes(2);
+        expect(client.status).toBe(CONNECTION_STATUS.CONNECTED);
+        expect(client.authError).toBeUndefined();
+    });
+
+    it('republishes Agent Assist suggestions on the Agent_Assist__c channel', async () => {
+        const onEvent = jest.fn();
+        createClient({ onEvent }).connect();
+        await advance(0);
+
+        server.broadcast(SUGGESTION_FRAME);
+
+        expect(publish).toHaveBeenCalledTimes(2);
+        const [smartReply, faq] = onEvent.mock.calls.map(([envelope]) => envelope);
+        expect(smartReply).toMatchObject({
+            schemaVersion: 1,
+            type: 'SMART_REPLY',
+            conversationId: '0Mw000000000001',
+            participantRole: 'HUMAN_AGENT',
+            payload: { reply: 'Happy to help!' }
+        });
+        expect(faq).toMatchObject({ type: 'FAQ', payload: { answer: 'Within 30 days.' } });
+        expect(publish.mock.calls[0][2]).toBe(smartReply);
+    });
+
+    it('stops reconnecting after disconnect', async () => {
+        createClient().connect();
+        await advance(0);
+
+        client.disconnect();
+        await advance(10000);
+
+        expect(client.status).toBe(CONNECTION_STATUS.DISCONNECTED);
+        expect(server.connections).toHaveLength(0);
+        expect(server.receivedOfType(FRAME_TYPES.AUTH)).toHaveLength(1);
+    });
+});
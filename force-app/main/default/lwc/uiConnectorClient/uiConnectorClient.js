@@ -0,0 +1,408 @@
+// @ts-check
+/**
+ * @fileoverview A WebSocket client for the UI Connector (the `ui_connector_wss` Trusted URL). Here's the flow:
+ *
+ * - `connect` opens the socket and, once open, sends an `auth` frame with a token from `getAuthToken`.
+ * - The server answers `auth_ok` (or `auth_error`). Until `auth_ok`, outbound messages are buffered.
+ * - An `auth_error` won't go away by retrying, so the client stops reconnecting and reports `UNAUTHORIZED` (with the
+ *   server's message in `authError`) until `connect` is called again.
+ * - While connected, a `ping` is sent every `heartbeatIntervalMs`. If no `pong` arrives within
+ *   `heartbeatTimeoutMs`, the socket is treated as dead and closed.
+ * - Whenever the socket drops (and neither `disconnect` was called nor auth rejected), it reconnects with exponential
+ *   backoff.
+ * - `suggestion` frames carry an Agent Assist response, which is converted into `agentAssistPayload` envelopes and
+ *   republished on the `Agent_Assist__c` message channel.
+ *
+ * Frames are JSON objects with a `type`:
+ *
+ * - client -> server: `{ type: 'auth', token }`, `{ type: 'ping' }`, `{ type: 'analyze_content', conversationId, requests }`,
+ *   plus anything else passed to `send`.
+ * - server -> client: `{ type: 'auth_ok' }`, `{ type: 'auth_error', message }`, `{ type: 'pong' }`,
+ *   `{ type: 'suggestion', conversationId, participantRole?, data }`.
+ */
+import { publish } from 'lightning/messageService';
+import AGENT_ASSIST_CHANNEL from '@salesforce/messageChannel/Agent_Assist__c';
+import { envelopesFromAgentAssistResponse } from 'c/agentAssistPayload';
+
+/**
+ * @typedef {{
+ *  url: string;
+ *  getAuthToken: () => Promise<string>;
+ *  messageContext?: any;
+ *  onEvent?: (envelope: import('c/agentAssistPayload').AgentAssistEnvelope) => void;
+ *  onStatusChange?: (status: string) => void;
+ *  onSend?: (message: Record<string, any>) => void;
+ *  heartbeatIntervalMs?: number;
+ *  heartbeatTimeoutMs?: number;
+ *  initialBackoffMs?: number;
+ *  maxBackoffMs?: number;
+ *  maxBufferSize?: number;
+ *  WebSocketImpl?: typeof WebSocket;
+ * }} UiConnectorClientOptions
+ */
+
+export const CONNECTION_STATUS = {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    AUTHENTICATING: 'authenticating',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    UNAUTHORIZED: 'unauthorized'
+};
+
+export const FRAME_TYPES = {
+    AUTH: 'auth',
+    AUTH_OK: 'auth_ok',
+    AUTH_ERROR: 'auth_error',
+    PING: 'ping',
+    PONG: 'pong',
+    SUGGESTION: 'suggestion',
+    ANALYZE_CONTENT: 'analyze_content'
+};
+
+/**
+ * Close code used when the client gives up on a socket (missed heartbeat, rejected auth).
+ */
+const CLOSE_CODE_CLIENT_RESET = 4000;
+
+const DEFAULTS = {
+    heartbeatIntervalMs: 25000,
+    heartbeatTimeoutMs: 10000,
+    initialBackoffMs: 1000,
+    maxBackoffMs: 30000,
+    maxBufferSize: 100
+};
+
+/**
+ * Exchanges the browser's UI Connector session for a socket auth token via the connector's `/register` endpoint
+ * (the `ui_connector` https Trusted URL). Suitable as a `getAuthToken` option.
+ *
+ * @param {string} uiConnectorUrl e.g. `https://UI_CONNECTOR_SUBDOMAIN.us-central1.run.app`
+ * @returns {Promise<string>}
+ */
+export async function requestAuthToken(uiConnectorUrl) {
+    const response = await fetch(`${uiConnectorUrl.replace(/\/+$/, '')}/register`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (!response.ok) {
+        throw new Error(`[UiConnectorClient] /register returned ${response.status}.`);
+    }
+
+    const { token } = await response.json();
+
+    if (!token) {
+        throw new Error('[UiConnectorClient] /register did not return a token.');
+    }
+
+    return token;
+}
+
+export default class UiConnectorClient {
+    /**
+     * @type {WebSocket | null}
+     */
+    socket = null;
+
+    status = CONNECTION_STATUS.DISCONNECTED;
+
+    /**
+     * Outbound messages queued while the socket isn't authenticated. Oldest are dropped past `maxBufferSize`.
+     *
+     * @type {Record<string, any>[]}
+     */
+    buffer = [];
+
+    /**
+     * The number of consecutive failed connection attempts, used to compute the backoff delay.
+     */
+    reconnectAttempts = 0;
+
+    shouldReconnect = false;
+
+    /**
+     * The server's message from the last `auth_error`, while the status is `UNAUTHORIZED`.
+     *
+     * @type {string | undefined}
+     */
+    authError;
+
+    reconnectTimer = null;
+    heartbeatTimer = null;
+    heartbeatTimeoutTimer = null;
+
+    /**
+     * @param {UiConnectorClientOptions} options
+     */
+    constructor(options) {
+        if (!options || !options.url) {
+            throw new Error('[UiConnectorClient] A UI Connector wss URL is required.');
+        }
+        if (typeof options.getAuthToken !== 'function') {
+            throw new Error('[UiConnectorClient] getAuthToken must be a function.');
+        }
+
+        this.options = { ...DEFAULTS, ...options };
+        this.WebSocketImpl = options.WebSocketImpl || window.WebSocket;
+    }
+
+    get isConnected() {
+        return this.status === CONNECTION_STATUS.CONNECTED;
+    }
+
+    /**
+     * Opens the socket. Calling it again while a socket is open is a no-op, and calling it while waiting to reconnect
+     * reconnects now instead of when the backoff ends.
+     */
+    connect() {
+        this.shouldReconnect = true;
+        this.authError = undefined;
+
+        if (!this.socket) {
+            // Otherwise the pending reconnect opens a second socket.
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+            this.reconnectAttempts = 0;
+
+            this.openSocket();
+        }
+    }
+
+    /**
+     * Closes the socket and stops reconnecting. Buffered messages are kept for the next `connect`.
+     */
+    disconnect() {
+        this.shouldReconnect = false;
+        this.clearTimers();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(1000, 'Client disconnect');
+        }
+
+        this.setStatus(CONNECTION_STATUS.DISCONNECTED);
+    }
+
+    /**
+     * Sends a message, or buffers it until the socket is authenticated. `onSend` is called once it's actually sent.
+     *
+     * @param {Record<string, any>} message
+     */
+    send(message) {
+        if (this.isConnected && this.socket) {
+            this.socket.send(JSON.stringify(message));
+
+            if (this.options.onSend) {
+                this.options.onSend(message);
+            }
+            return;
+        }
+
+        this.buffer.push(message);
+
+        if (this.buffer.length > this.options.maxBufferSize) {
+            this.buffer.shift();
+        }
+    }
+
+    /**
+     * The delay before the next reconnect attempt: `initialBackoffMs * 2^attempts`, capped at `maxBackoffMs`.
+     *
+     * @returns {number}
+     */
+    getBackoffDelay() {
+        return Math.min(this.options.maxBackoffMs, this.options.initialBackoffMs * 2 ** this.reconnectAttempts);
+    }
+
+    openSocket() {
+        this.setStatus(this.reconnectAttempts ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTING);
+
+        const socket = new this.WebSocketImpl(this.options.url);
+
+        socket.onopen = () => this.authenticate(socket);
+        socket.onmessage = (event) => this.handleMessage(event);
+        socket.onclose = () => this.handleClose(socket);
+        socket.onerror = (error) => console.error('[UiConnectorClient] Socket error:', error);
+
+        this.socket = socket;
+    }
+
+    /**
+     * @param {WebSocket} socket
+     */
+    async authenticate(socket) {
+        this.setStatus(CONNECTION_STATUS.AUTHENTICATING);
+
+        try {
+            const token = await this.options.getAuthToken();
+
+            if (socket === this.socket) {
+                socket.send(JSON.stringify({ type: FRAME_TYPES.AUTH, token }));
+            }
+        } catch (error) {
+            console.error('[UiConnectorClient] Unable to retrieve an auth token:', error);
+            socket.close(CLOSE_CODE_CLIENT_RESET, 'Auth token unavailable');
+        }
+    }
+
+    /**
+     * @param {MessageEvent} event
+     */
+    handleMessage(event) {
+        let frame;
+
+        try {
+            frame = JSON.parse(event.data);
+        } catch {
+            console.warn('[UiConnectorClient] Ignored a non-JSON frame.');
+            return;
+        }
+
+        switch (frame && frame.type) {
+            case FRAME_TYPES.AUTH_OK:
+                this.reconnectAttempts = 0;
+                this.setStatus(CONNECTION_STATUS.CONNECTED);
+                this.startHeartbeat();
+                this.flushBuffer();
+                break;
+            case FRAME_TYPES.AUTH_ERROR:
+                this.handleAuthError(frame.message);
+                break;
+            case FRAME_TYPES.PONG:
+                clearTimeout(this.heartbeatTimeoutTimer);
+                this.heartbeatTimeoutTimer = null;
+                break;
+            case FRAME_TYPES.SUGGESTION:
+                this.republish(frame);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Closes the socket for good. Reconnecting would only be rejected again, so wait for `connect` instead.
+     *
+     * @param {string} [message]
+     */
+    handleAuthError(message) {
+        console.error('[UiConnectorClient] Authentication rejected:', message);
+
+        this.shouldReconnect = false;
+        this.clearTimers();
+        this.authError = message || 'The UI Connector rejected the auth token.';
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close(CLOSE_CODE_CLIENT_RESET, 'Authentication rejected');
+        }
+
+        this.setStatus(CONNECTION_STATUS.UNAUTHORIZED);
+    }
+
+    /**
+     * @param {WebSocket} socket
+     */
+    handleClose(socket) {
+        if (socket !== this.socket) {
+            return;
+        }
+
+        this.socket = null;
+        this.clearTimers();
+
+        if (this.shouldReconnect) {
+            this.scheduleReconnect();
+        } else {
+            this.setStatus(CONNECTION_STATUS.DISCONNECTED);
+        }
+    }
+
+    scheduleReconnect() {
+        const delay = this.getBackoffDelay();
+
+        this.reconnectAttempts += 1;
+        this.setStatus(CONNECTION_STATUS.RECONNECTING);
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openSocket();
+        }, delay);
+    }
+
+    startHeartbeat() {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.socket) {
+                return;
+            }
+
+            // The timeout is armed before sending so a `pong` that arrives immediately still clears it.
+            if (!this.heartbeatTimeoutTimer) {
+                // eslint-disable-next-line @lwc/lwc/no-async-operation
+                this.heartbeatTimeoutTimer = setTimeout(() => {
+                    console.warn('[UiConnectorClient] Heartbeat timed out. Reconnecting.');
+                    this.heartbeatTimeoutTimer = null;
+                    if (this.socket) {
+                        this.socket.close(CLOSE_CODE_CLIENT_RESET, 'Heartbeat timeout');
+                    }
+                }, this.options.heartbeatTimeoutMs);
+            }
+
+            this.socket.send(JSON.stringify({ type: FRAME_TYPES.PING }));
+        }, this.options.heartbeatIntervalMs);
+    }
+
+    flushBuffer() {
+        const pending = this.buffer;
+        this.buffer = [];
+        pending.forEach((message) => this.send(message));
+    }
+
+    /**
+     * Publishes every Agent Assist answer in a `suggestion` frame onto the `Agent_Assist__c` channel.
+     *
+     * @param {Record<string, any>} frame
+     */
+    republish(frame) {
+        const envelopes = envelopesFromAgentAssistResponse(frame.data, frame.conversationId, frame.participantRole);
+
+        envelopes.forEach((envelope) => {
+            if (this.options.messageContext) {
+                publish(this.options.messageContext, AGENT_ASSIST_CHANNEL, envelope);
+            }
+            if (this.options.onEvent) {
+                this.options.onEvent(envelope);
+            }
+        });
+    }
+
+    clearTimers() {
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.heartbeatTimeoutTimer);
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.heartbeatTimeoutTimer = null;
+    }
+
+    /**
+     * @param {string} status One of `CONNECTION_STATUS`.
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+
+        this.status = status;
+
+        if (this.options.onStatusChange) {
+            this.options.onStatusChange(status);
+        }
+    }
+}
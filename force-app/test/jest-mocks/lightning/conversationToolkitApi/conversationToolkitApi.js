@@ -0,0 +1,24 @@
+import { LightningElement, api } from 'lwc';
+
+/**
+ * Stand-in for `lightning-conversation-toolkit-api`, which sfdx-lwc-jest doesn't stub. Tests set what the toolkit
+ * returns through the exported mocks.
+ *
+ * @usage
+ * import { getConversationLog } from 'lightning/conversationToolkitApi';
+ * getConversationLog.mockResolvedValue({ messages: [{ type: 'EndUser', content: 'Hi' }] });
+ */
+export const getConversationLog = jest.fn().mockResolvedValue({ messages: [] });
+export const setAgentInput = jest.fn().mockResolvedValue(undefined);
+
+export default class ConversationToolkitApi extends LightningElement {
+    @api
+    getConversationLog(recordId) {
+        return getConversationLog(recordId);
+    }
+
+    @api
+    setAgentInput(recordId, message) {
+        return setAgentInput(recordId, message);
+    }
+}
@@ -0,0 +1,74 @@
+import { dispatchCspViolation } from './mockWebSocketServer';
+
+/**
+ * An in-memory stand-in for an https server. Pass `server.fetch` wherever a `fetch` implementation is expected;
+ * requests to the server's URL are answered by its routes, and `failWith` simulates the network failures a browser
+ * can hit before a response arrives.
+ *
+ * @usage
+ * const server = new MockHttpServer('https://connector.example.com');
+ * server.on('POST', '/register', () => ({ status: 200, body: { token: 'valid-token' } }));
+ * const result = await testHttps(server.url, { fetchImpl: server.fetch });
+ */
+export default class MockHttpServer {
+    constructor(url) {
+        this.url = url.replace(/\/+$/, '');
+        this.routes = new Map();
+        this.requests = [];
+        this.failure = null;
+
+        this.fetch = (input, init = {}) => {
+            const requestUrl = String(input);
+            const method = (init.method || 'GET').toUpperCase();
+
+            this.requests.push({ url: requestUrl, method, init });
+
+            return Promise.resolve().then(() => this.respond(requestUrl, method, init));
+        };
+    }
+
+    /**
+     * Registers a handler for `method` and `path`. Handlers return `{ status, body }`.
+     */
+    on(method, path, handler) {
+        this.routes.set(`${method.toUpperCase()} ${path}`, handler);
+    }
+
+    /**
+     * Makes every request fail before a response: `'network'` (e.g. DNS, TLS or a refused connection), `'csp'` or
+     * `'hang'` (never settles). Pass null to stop failing.
+     */
+    failWith(failure) {
+        this.failure = failure;
+    }
+
+    respond(requestUrl, method, init) {
+        if (this.failure === 'hang') {
+            return new Promise(() => {});
+        }
+        if (this.failure === 'csp') {
+            dispatchCspViolation(requestUrl);
+        }
+        if (this.failure || !requestUrl.startsWith(this.url)) {
+            throw networkError();
+        }
+
+        const path = requestUrl.slice(this.url.length) || '/';
+        const handler = this.routes.get(`${method} ${path}`);
+        const { status = 200, body = null } = handler ? handler({ url: requestUrl, method, init }) : { status: 404 };
+
+        return {
+            status,
+            ok: status >= 200 && status < 300,
+            json: () => Promise.resolve(typeof body === 'string' ? JSON.parse(body) : body),
+            text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))
+        };
+    }
+}
+
+/**
+ * Mirrors the opaque `TypeError` browsers throw for every network failure, whatever its cause.
+ */
+function networkError() {
+    return new TypeError('Failed to fetch');
+}
@@ -0,0 +1,132 @@
+/**
+ * An in-memory stand-in for a WebSocket server. Pass `server.WebSocket` wherever a `WebSocket` constructor is
+ * expected; every socket created with the server's URL connects to it.
+ *
+ * @usage
+ * const server = new MockWebSocketServer('wss://connector.example.com');
+ * server.onMessage((connection, frame) => connection.send({ type: 'auth_ok' }));
+ * const client = new UiConnectorClient({ url: server.url, WebSocketImpl: server.WebSocket, ... });
+ */
+export default class MockWebSocketServer {
+    constructor(url) {
+        this.url = url;
+        this.connections = [];
+        this.connectionAttempts = [];
+        this.received = [];
+        this.messageHandlers = [];
+        this.refusal = { code: 1006, reason: 'Connection refused' };
+
+        const server = this;
+
+        this.WebSocket = class MockWebSocket {
+            static CONNECTING = 0;
+            static OPEN = 1;
+            static CLOSING = 2;
+            static CLOSED = 3;
+
+            constructor(socketUrl) {
+                this.url = socketUrl;
+                this.readyState = MockWebSocket.CONNECTING;
+                this.sent = [];
+                server.connectionAttempts.push(Date.now());
+
+                // Opens on a microtask so tests don't depend on timer granularity.
+                Promise.resolve().then(() => {
+                    if (socketUrl === server.url && server.isBlockedByCsp) {
+                        dispatchCspViolation(socketUrl);
+                    }
+                    if (socketUrl !== server.url || server.isRefusing || server.isBlockedByCsp) {
+                        this.readyState = MockWebSocket.CLOSED;
+                        this.onerror?.(new Event('error'));
+                        this.onclose?.(server.isRefusing ? { ...server.refusal } : { code: 1006, reason: '' });
+                        return;
+                    }
+                    this.readyState = MockWebSocket.OPEN;
+                    server.connections.push(this);
+                    this.onopen?.(new Event('open'));
+                });
+            }
+
+            send(data) {
+                if (this.readyState !== MockWebSocket.OPEN) {
+                    throw new Error('MockWebSocket is not open.');
+                }
+                const frame = JSON.parse(data);
+                this.sent.push(frame);
+                server.received.push(frame);
+                server.messageHandlers.forEach((handler) => handler(server.connectionFor(this), frame));
+            }
+
+            close(code = 1000, reason = '') {
+                if (this.readyState === MockWebSocket.CLOSED) {
+                    return;
+                }
+                this.readyState = MockWebSocket.CLOSED;
+                server.connections = server.connections.filter((socket) => socket !== this);
+                this.onclose?.({ code, reason });
+            }
+        };
+    }
+
+    /**
+     * Wraps a socket so the server can push frames to that client.
+     */
+    connectionFor(socket) {
+        return {
+            socket,
+            send: (frame) => socket.onmessage?.({ data: typeof frame === 'string' ? frame : JSON.stringify(frame) }),
+            close: (code = 1006, reason = 'Server closed') => socket.close(code, reason)
+        };
+    }
+
+    /**
+     * Registers a handler called with `(connection, frame)` for every frame a client sends.
+     */
+    onMessage(handler) {
+        this.messageHandlers.push(handler);
+    }
+
+    /**
+     * Sends a frame to every open connection.
+     */
+    broadcast(frame) {
+        this.connections.forEach((socket) => this.connectionFor(socket).send(frame));
+    }
+
+    /**
+     * Drops every open connection, as if the network went away.
+     */
+    dropAll() {
+        [...this.connections].forEach((socket) => socket.close(1006, 'Connection dropped'));
+    }
+
+    /**
+     * While true, new sockets fail to connect, closing with `code` (browsers use 1006 for any failed connection).
+     */
+    refuseConnections(isRefusing = true, code = 1006, reason = 'Connection refused') {
+        this.isRefusing = isRefusing;
+        this.refusal = { code, reason };
+    }
+
+    /**
+     * While true, new sockets are blocked as if the page's Content Security Policy didn't allow the URL: a
+     * `securitypolicyviolation` event is dispatched on `document` and the socket closes without opening.
+     */
+    blockByCsp(isBlocked = true) {
+        this.isBlockedByCsp = isBlocked;
+    }
+
+    receivedOfType(type) {
+        return this.received.filter((frame) => frame.type === type);
+    }
+}
+
+/**
+ * Dispatches a `securitypolicyviolation` event for `url` on `document`, as a browser does when the CSP blocks a
+ * request. jsdom has no `SecurityPolicyViolationEvent`, so a plain event carries the same fields.
+ */
+export function dispatchCspViolation(url) {
+    const event = new Event('securitypolicyviolation');
+    Object.assign(event, { blockedURI: url, violatedDirective: 'connect-src', effectiveDirective: 'connect-src' });
+    globalThis.document.dispatchEvent(event);
+}
@@ -2,5 +2,9 @@ const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
 
 module.exports = {
     ...jestConfig,
+    moduleNameMapper: {
+        ...jestConfig.moduleNameMapper,
+        '^lightning/conversationToolkitApi$': '<rootDir>/force-app/test/jest-mocks/lightning/conversationToolkitApi/conversationToolkitApi'
+    },
     modulePathIgnorePatterns: ['<rootDir>/.localdevserver']
 };